@@ -8,15 +8,59 @@
 'use strict';
 
 systemDictionary = {
+    "Active": {                                       "en": "Active",                                           "de": "Aktiv",                                            "ru": "Активен",                                          "pt": "Ativo",                                            "nl": "Actief",                                           "fr": "Actif",                                            "it": "Attivo",                                           "es": "Activo",                                           "pl": "Aktywny",                                          "uk": "Активний",                                         "zh-cn": "启用"},
+    "Add": {                                          "en": "Add",                                              "de": "Hinzufügen",                                       "ru": "Добавить",                                         "pt": "Adicionar",                                        "nl": "Toevoegen",                                        "fr": "Ajouter",                                          "it": "Aggiungi",                                         "es": "Añadir",                                           "pl": "Dodaj",                                            "uk": "Додати",                                           "zh-cn": "添加"},
+    "Authentication": {                               "en": "Authentication",                                   "de": "Authentifizierung",                                "ru": "Аутентификация",                                   "pt": "Autenticação",                                     "nl": "Authenticatie",                                    "fr": "Authentification",                                 "it": "Autenticazione",                                   "es": "Autenticación",                                    "pl": "Uwierzytelnianie",                                 "uk": "Автентифікація",                                   "zh-cn": "身份验证"},
+    "Change of the volumeUp and volumeDown buttons": {"en": "Change of the volumeUp and volumeDown buttons",    "de": "Änderung durch die Tasten volumeUp und volumeDown", "ru": "Изменение кнопками volumeUp и volumeDown",         "pt": "Alteração dos botões volumeUp e volumeDown",       "nl": "Wijziging door de knoppen volumeUp en volumeDown", "fr": "Modification par les boutons volumeUp et volumeDown", "it": "Variazione dei pulsanti volumeUp e volumeDown",    "es": "Cambio de los botones volumeUp y volumeDown",      "pl": "Zmiana przyciskami volumeUp i volumeDown",         "uk": "Зміна кнопками volumeUp і volumeDown",             "zh-cn": "volumeUp 和 volumeDown 按钮的变化量"},
+    "Enter the PIN shown on the TV and press \"Pair\"": {"en": "Enter the PIN shown on the TV and press \"Pair\"", "de": "Geben Sie die am Fernseher angezeigte PIN ein und drücken Sie \"Koppeln\"", "ru": "Введите PIN, показанный на телевизоре, и нажмите \"Сопрячь\"", "pt": "Introduza o PIN mostrado na TV e prima \"Emparelhar\"", "nl": "Voer de PIN in die op de tv wordt getoond en druk op \"Koppelen\"", "fr": "Saisissez le PIN affiché sur le téléviseur et appuyez sur \"Appairer\"", "it": "Inserire il PIN mostrato sulla TV e premere \"Associa\"", "es": "Introduzca el PIN mostrado en el televisor y pulse \"Emparejar\"", "pl": "Wpisz PIN wyświetlony na telewizorze i naciśnij \"Sparuj\"", "uk": "Введіть PIN, показаний на телевізорі, і натисніть \"Сполучити\"", "zh-cn": "输入电视上显示的 PIN 并点击 \"配对\""},
+    "Every TV gets its own objects below its name. Leave the name empty to use the IP address.": {"en": "Every TV gets its own objects below its name. Leave the name empty to use the IP address.", "de": "Jeder Fernseher erhält eigene Objekte unterhalb seines Namens. Ohne Namen wird die IP-Adresse verwendet.", "ru": "Каждый телевизор получает собственные объекты под своим именем. Оставьте имя пустым, чтобы использовать IP-адрес.", "pt": "Cada TV recebe os seus próprios objetos abaixo do seu nome. Deixe o nome vazio para usar o endereço IP.", "nl": "Elke tv krijgt eigen objecten onder zijn naam. Laat de naam leeg om het IP-adres te gebruiken.", "fr": "Chaque téléviseur reçoit ses propres objets sous son nom. Laissez le nom vide pour utiliser l'adresse IP.", "it": "Ogni TV riceve i propri oggetti sotto il suo nome. Lasciare il nome vuoto per usare l'indirizzo IP.", "es": "Cada televisor obtiene sus propios objetos bajo su nombre. Deje el nombre vacío para usar la dirección IP.", "pl": "Każdy telewizor otrzymuje własne obiekty pod swoją nazwą. Pozostaw nazwę pustą, aby użyć adresu IP.", "uk": "Кожен телевізор отримує власні об'єкти під своїм ім'ям. Залиште ім'я порожнім, щоб використати IP-адресу.", "zh-cn": "每台电视在其名称下拥有自己的对象。名称留空则使用 IP 地址。"},
+    "Every macro becomes a button below macros of each TV.": {"en": "Every macro becomes a button below macros of each TV.", "de": "Jedes Makro wird ein Button unter macros jedes Fernsehers.", "ru": "Каждый макрос становится кнопкой в macros каждого телевизора.", "pt": "Cada macro torna-se um botão em macros de cada TV.", "nl": "Elke macro wordt een knop onder macros van elke tv.", "fr": "Chaque macro devient un bouton sous macros de chaque téléviseur.", "it": "Ogni macro diventa un pulsante sotto macros di ogni TV.", "es": "Cada macro se convierte en un botón bajo macros de cada televisor.", "pl": "Każde makro staje się przyciskiem w macros każdego telewizora.", "uk": "Кожен макрос стає кнопкою в macros кожного телевізора.", "zh-cn": "每个宏都会成为每台电视 macros 下的按钮。"},
+    "For TVs with authentication \"PIN\": save the settings, request a PIN and enter the PIN shown on the TV.": {"en": "For TVs with authentication \"PIN\": save the settings, request a PIN and enter the PIN shown on the TV.", "de": "Für Fernseher mit Authentifizierung \"PIN\": Einstellungen speichern, PIN anfordern und die am Fernseher angezeigte PIN eingeben.", "ru": "Для телевизоров с аутентификацией \"PIN\": сохраните настройки, запросите PIN и введите PIN, показанный на телевизоре.", "pt": "Para TVs com autenticação \"PIN\": guarde as definições, solicite um PIN e introduza o PIN mostrado na TV.", "nl": "Voor tv's met authenticatie \"PIN\": sla de instellingen op, vraag een PIN aan en voer de PIN in die op de tv wordt getoond.", "fr": "Pour les téléviseurs avec l'authentification \"PIN\" : enregistrez les paramètres, demandez un PIN et saisissez le PIN affiché sur le téléviseur.", "it": "Per le TV con autenticazione \"PIN\": salvare le impostazioni, richiedere un PIN e inserire il PIN mostrato sulla TV.", "es": "Para televisores con autenticación \"PIN\": guarde la configuración, solicite un PIN e introduzca el PIN mostrado en el televisor.", "pl": "Dla telewizorów z uwierzytelnianiem \"PIN\": zapisz ustawienia, poproś o PIN i wpisz PIN wyświetlony na telewizorze.", "uk": "Для телевізорів з автентифікацією \"PIN\": збережіть налаштування, запросіть PIN і введіть PIN, показаний на телевізорі.", "zh-cn": "对于使用 \"PIN\" 验证的电视：保存设置，请求 PIN，然后输入电视上显示的 PIN。"},
     "Go to home network setup": {                     "en": "Go to home network setup",                         "de": "Gehen Sie zum Heimnetzwerk-Setup",                 "ru": "Перейти к настройке домашней сети",                "pt": "Ir para a configuração da rede doméstica",         "nl": "Ga naar de installatie van het thuisnetwerk",      "fr": "Aller à la configuration du réseau domestique",    "it": "Vai alla configurazione della rete domestica",     "es": "Ir a la configuración de la red doméstica",        "pl": "Przejdź do konfiguracji sieci domowej",            "uk": "Перейдіть до налаштування домашньої мережі",       "zh-cn": "转到家庭网络设置"},
     "Go to remote device/Renderer and enter the Pre-Shared Key \"0000\" (or whatever you want your PSK Key to be)": {"en": "Go to remote device/Renderer and enter the Pre-Shared Key \"0000\" (or whatever you want your PSK Key to be)", "de": "Gehen Sie zu Remote-Gerät / Renderer und geben Sie den Pre-Shared Schlüssel \"0000\" ein (oder was auch immer Sie als PSK-Schlüssel verwenden möchten).", "ru": "Перейдите к удаленному устройству / средству визуализации и введите предварительный общий ключ «0000» (или любой другой ключ PSK)", "pt": "Ir para dispositivo / renderizador remoto e digite a chave pré-compartilhada \"0000\" (ou qualquer que seja sua chave PSK)", "nl": "Ga naar remote device / renderer en voer de pre-shared key \"0000\" in (of wat je PSK Key ook mag zijn)", "fr": "Allez au périphérique / moteur de rendu distant et entrez la clé pré-partagée \"0000\" (ou quelle que soit votre clé PSK)", "it": "Vai al dispositivo / renderer remoto e inserisci la chiave pre-condivisa \"0000\" (o qualunque sia la tua chiave PSK)", "es": "Vaya al dispositivo / renderizador remoto e ingrese la clave precompartida \"0000\" (o cualquiera que sea su clave PSK)", "pl": "Przejdź do zdalnego urządzenia / renderera i wprowadź klucz wstępny \"0000\" (lub jakikolwiek jest twój klucz PSK)", "uk": "Перейдіть до віддаленого пристрою/рендерера та введіть PSK ключ «0000» (або будь-яке інше значення, яке ви виберете для вашого PSK ключа)", "zh-cn": "转到远程设备/渲染器并输入预共享密钥 \"0000\"（或任何您想要的PSK密钥）"},
+    "How often \"power on\" is retried after a Wake-on-LAN packet. The MAC address is read from the TV if it is not configured.": {"en": "How often \"power on\" is retried after a Wake-on-LAN packet. The MAC address is read from the TV if it is not configured.", "de": "Wie oft \"Einschalten\" nach einem Wake-on-LAN-Paket wiederholt wird. Ohne konfigurierte MAC-Adresse wird sie vom Fernseher gelesen.", "ru": "Сколько раз повторяется \"включение\" после пакета Wake-on-LAN. Если MAC-адрес не задан, он считывается с телевизора.", "pt": "Quantas vezes \"ligar\" é repetido após um pacote Wake-on-LAN. O endereço MAC é lido da TV se não estiver configurado.", "nl": "Hoe vaak \"aanzetten\" wordt herhaald na een Wake-on-LAN-pakket. Het MAC-adres wordt van de tv gelezen als het niet is ingesteld.", "fr": "Nombre de répétitions de \"allumer\" après un paquet Wake-on-LAN. L'adresse MAC est lue sur le téléviseur si elle n'est pas configurée.", "it": "Quante volte \"accendi\" viene ripetuto dopo un pacchetto Wake-on-LAN. L'indirizzo MAC viene letto dalla TV se non è configurato.", "es": "Cuántas veces se repite \"encender\" tras un paquete Wake-on-LAN. La dirección MAC se lee del televisor si no está configurada.", "pl": "Ile razy \"włączenie\" jest powtarzane po pakiecie Wake-on-LAN. Adres MAC jest odczytywany z telewizora, jeśli nie jest skonfigurowany.", "uk": "Скільки разів повторюється \"увімкнення\" після пакета Wake-on-LAN. Якщо MAC-адресу не задано, вона зчитується з телевізора.", "zh-cn": "发送网络唤醒数据包后重试\"开机\"的次数。未配置 MAC 地址时将从电视读取。"},
+    "ICMP ping (needs the ping command)": {           "en": "ICMP ping (needs the ping command)",               "de": "ICMP-Ping (benötigt den Befehl ping)",             "ru": "ICMP ping (нужна команда ping)",                   "pt": "ICMP ping (requer o comando ping)",                "nl": "ICMP-ping (vereist het ping-commando)",            "fr": "Ping ICMP (nécessite la commande ping)",           "it": "Ping ICMP (richiede il comando ping)",             "es": "Ping ICMP (requiere el comando ping)",             "pl": "Ping ICMP (wymaga polecenia ping)",                "uk": "ICMP ping (потрібна команда ping)",                "zh-cn": "ICMP ping（需要 ping 命令）"},
     "IP": {                                           "en": "IP",                                               "de": "IP",                                               "ru": "IP",                                               "pt": "IP",                                               "nl": "IP",                                               "fr": "IP",                                               "it": "IP",                                               "es": "IP",                                               "pl": "IP",                                               "uk": "IP",                                               "zh-cn": "IP"},
     "IP Control - Authentication - Normal and Pre-Shared Key": {"en": "IP Control -> Authentication -> Normal and Pre-Shared Key", "de": "IP-Steuerung -> Authentifizierung -> Normal und Pre-Shared Schlüssel", "ru": "Управление IP -> Аутентификация -> Нормальный и Общий ключ", "pt": "Controle de IP -> Autenticação -> Chave Normal e Pré-Compartilhada", "nl": "IP-controle -> Authenticatie -> Normale en vooraf gedeelde sleutel", "fr": "Contrôle IP -> Authentification -> Clé normale et pré-partagée", "it": "Controllo IP -> Autenticazione -> Chiave normale e pre-condivisa", "es": "Control de IP -> Autenticación -> Clave normal y precompartida", "pl": "Kontrola IP -> Uwierzytelnianie -> Klucz normalny i wstępny", "uk": "",                                                 "zh-cn": "IP控制 -> 验证 -> 正常和预共享密钥"},
+    "Key names and IRCC codes separated by commas, e.g. Home,Down*3,Confirm,wait:2000,Netflix": {"en": "Key names and IRCC codes separated by commas, e.g. Home,Down*3,Confirm,wait:2000,Netflix", "de": "Tastennamen und IRCC-Codes durch Kommas getrennt, z. B. Home,Down*3,Confirm,wait:2000,Netflix", "ru": "Названия клавиш и коды IRCC через запятую, например Home,Down*3,Confirm,wait:2000,Netflix", "pt": "Nomes de teclas e códigos IRCC separados por vírgulas, p. ex. Home,Down*3,Confirm,wait:2000,Netflix", "nl": "Toetsnamen en IRCC-codes gescheiden door komma's, bijv. Home,Down*3,Confirm,wait:2000,Netflix", "fr": "Noms de touches et codes IRCC séparés par des virgules, p. ex. Home,Down*3,Confirm,wait:2000,Netflix", "it": "Nomi dei tasti e codici IRCC separati da virgole, ad es. Home,Down*3,Confirm,wait:2000,Netflix", "es": "Nombres de teclas y códigos IRCC separados por comas, p. ej. Home,Down*3,Confirm,wait:2000,Netflix", "pl": "Nazwy klawiszy i kody IRCC oddzielone przecinkami, np. Home,Down*3,Confirm,wait:2000,Netflix", "uk": "Назви клавіш і коди IRCC через кому, напр. Home,Down*3,Confirm,wait:2000,Netflix", "zh-cn": "以逗号分隔的按键名称和 IRCC 代码，例如 Home,Down*3,Confirm,wait:2000,Netflix"},
+    "Key sequence": {                                 "en": "Key sequence",                                     "de": "Tastenfolge",                                      "ru": "Последовательность клавиш",                        "pt": "Sequência de teclas",                              "nl": "Toetsenreeks",                                     "fr": "Séquence de touches",                              "it": "Sequenza di tasti",                                "es": "Secuencia de teclas",                              "pl": "Sekwencja klawiszy",                               "uk": "Послідовність клавіш",                             "zh-cn": "按键序列"},
+    "MAC address": {                                  "en": "MAC address",                                      "de": "MAC-Adresse",                                      "ru": "MAC-адрес",                                        "pt": "Endereço MAC",                                     "nl": "MAC-adres",                                        "fr": "Adresse MAC",                                      "it": "Indirizzo MAC",                                    "es": "Dirección MAC",                                    "pl": "Adres MAC",                                        "uk": "MAC-адреса",                                       "zh-cn": "MAC 地址"},
+    "Macros": {                                       "en": "Macros",                                           "de": "Makros",                                           "ru": "Макросы",                                          "pt": "Macros",                                           "nl": "Macro's",                                          "fr": "Macros",                                           "it": "Macro",                                            "es": "Macros",                                           "pl": "Makra",                                            "uk": "Макроси",                                          "zh-cn": "宏"},
+    "Maximum items per content list": {               "en": "Maximum items per content list",                   "de": "Maximale Einträge je Inhaltsliste",                "ru": "Максимум элементов в списке контента",             "pt": "Máximo de itens por lista de conteúdo",            "nl": "Maximaal aantal items per inhoudslijst",           "fr": "Nombre maximal d'éléments par liste de contenus",  "it": "Numero massimo di elementi per elenco di contenuti", "es": "Máximo de elementos por lista de contenido",       "pl": "Maksymalna liczba pozycji na listę treści",        "uk": "Максимум елементів у списку контенту",             "zh-cn": "每个内容列表的最大条目数"},
+    "Name": {                                         "en": "Name",                                             "de": "Name",                                             "ru": "Имя",                                              "pt": "Nome",                                             "nl": "Naam",                                             "fr": "Nom",                                              "it": "Nome",                                             "es": "Nombre",                                           "pl": "Nazwa",                                            "uk": "Ім'я",                                             "zh-cn": "名称"},
+    "No TVs found": {                                 "en": "No TVs found",                                     "de": "Keine Fernseher gefunden",                         "ru": "Телевизоры не найдены",                            "pt": "Nenhuma TV encontrada",                            "nl": "Geen tv's gevonden",                               "fr": "Aucun téléviseur trouvé",                          "it": "Nessuna TV trovata",                               "es": "No se encontraron televisores",                    "pl": "Nie znaleziono telewizorów",                       "uk": "Телевізори не знайдено",                           "zh-cn": "未找到电视"},
+    "No answer from the instance": {                  "en": "No answer from the instance",                      "de": "Keine Antwort von der Instanz",                    "ru": "Нет ответа от экземпляра",                         "pt": "Sem resposta da instância",                        "nl": "Geen antwoord van de instantie",                   "fr": "Pas de réponse de l'instance",                     "it": "Nessuna risposta dall'istanza",                    "es": "Sin respuesta de la instancia",                    "pl": "Brak odpowiedzi od instancji",                     "uk": "Немає відповіді від екземпляра",                   "zh-cn": "实例无响应"},
     "On the TV, go to Settings - Network - Home network setup": {"en": "On the TV, go to Settings -> Network -> Home network setup", "de": "Auf dem Fernsehgerät, gehen Sie zu Einstellungen -> Netzwerk -> Heimnetzwerk-Setup", "ru": "На телевизоре зайдите в Настройки -> Сеть -> Настройка домашней сети", "pt": "Na TV, vá para Configurações -> Rede -> Configuração da rede doméstica", "nl": "Ga op de tv naar Instellingen -> Netwerk -> Thuisnetwerk instellen", "fr": "Sur le téléviseur, sélectionnez Paramètres -> Réseau -> Configuration du réseau domestique.", "it": "Sul televisore, vai su Impostazioni -> Rete -> Impostazione rete domestica", "es": "En el televisor, vaya a Configuración -> Red -> Configuración de red doméstica", "pl": "W telewizorze przejdź do Ustawienia -> Sieć -> Konfiguracja sieci domowej", "uk": "",                                                 "zh-cn": "在电视上，转到设置 -> 网络 -> 家庭网络设置"},
+    "PIN": {                                          "en": "PIN",                                              "de": "PIN",                                              "ru": "PIN",                                              "pt": "PIN",                                              "nl": "PIN",                                              "fr": "PIN",                                              "it": "PIN",                                              "es": "PIN",                                              "pl": "PIN",                                              "uk": "PIN",                                              "zh-cn": "PIN"},
+    "PIN pairing": {                                  "en": "PIN pairing",                                      "de": "PIN-Kopplung",                                     "ru": "Сопряжение по PIN",                                "pt": "Emparelhamento por PIN",                           "nl": "Koppelen met PIN",                                 "fr": "Appairage par PIN",                                "it": "Associazione tramite PIN",                         "es": "Emparejamiento por PIN",                           "pl": "Parowanie kodem PIN",                              "uk": "Сполучення за PIN",                                "zh-cn": "PIN 配对"},
     "PSK Key": {                                      "en": "PSK Key",                                          "de": "PSK Schlüssel",                                    "ru": "PSK Key",                                          "pt": "Chave PSK",                                        "nl": "PSK-sleutel",                                      "fr": "Clé PSK",                                          "it": "Chiave PSK",                                       "es": "Clave psk",                                        "pl": "Klucz PSK",                                        "uk": "",                                                 "zh-cn": "PSK密钥"},
+    "Pair": {                                         "en": "Pair",                                             "de": "Koppeln",                                          "ru": "Сопрячь",                                          "pt": "Emparelhar",                                       "nl": "Koppelen",                                         "fr": "Appairer",                                         "it": "Associa",                                          "es": "Emparejar",                                        "pl": "Sparuj",                                           "uk": "Сполучити",                                        "zh-cn": "配对"},
+    "Paired successfully": {                          "en": "Paired successfully",                              "de": "Erfolgreich gekoppelt",                            "ru": "Сопряжение выполнено",                             "pt": "Emparelhado com sucesso",                          "nl": "Succesvol gekoppeld",                              "fr": "Appairage réussi",                                 "it": "Associazione riuscita",                            "es": "Emparejado correctamente",                         "pl": "Sparowano pomyślnie",                              "uk": "Успішно сполучено",                                "zh-cn": "配对成功"},
+    "Parallel requests per TV": {                     "en": "Parallel requests per TV",                         "de": "Parallele Anfragen pro Fernseher",                 "ru": "Параллельных запросов на телевизор",               "pt": "Pedidos paralelos por TV",                         "nl": "Parallelle verzoeken per tv",                      "fr": "Requêtes parallèles par téléviseur",               "it": "Richieste parallele per TV",                       "es": "Peticiones paralelas por televisor",               "pl": "Równoległe zapytania na telewizor",                "uk": "Паралельних запитів на телевізор",                 "zh-cn": "每台电视的并行请求数"},
+    "Please wait...": {                               "en": "Please wait...",                                   "de": "Bitte warten...",                                  "ru": "Пожалуйста, подождите...",                         "pt": "Por favor aguarde...",                             "nl": "Even geduld...",                                   "fr": "Veuillez patienter...",                            "it": "Attendere prego...",                               "es": "Espere por favor...",                              "pl": "Proszę czekać...",                                 "uk": "Будь ласка, зачекайте...",                         "zh-cn": "请稍候..."},
+    "Polling interval TV on (s)": {                   "en": "Polling interval TV on (s)",                       "de": "Abfrageintervall Fernseher an (s)",                "ru": "Интервал опроса, телевизор включён (с)",           "pt": "Intervalo de consulta TV ligada (s)",              "nl": "Polling-interval tv aan (s)",                      "fr": "Intervalle d'interrogation téléviseur allumé (s)", "it": "Intervallo di interrogazione TV accesa (s)",       "es": "Intervalo de consulta televisor encendido (s)",    "pl": "Interwał odpytywania, telewizor włączony (s)",     "uk": "Інтервал опитування, телевізор увімкнено (с)",     "zh-cn": "电视开机时的轮询间隔（秒）"},
+    "Polling interval standby (s)": {                 "en": "Polling interval standby (s)",                     "de": "Abfrageintervall Standby (s)",                     "ru": "Интервал опроса в режиме ожидания (с)",            "pt": "Intervalo de consulta em espera (s)",              "nl": "Polling-interval stand-by (s)",                    "fr": "Intervalle d'interrogation en veille (s)",         "it": "Intervallo di interrogazione in standby (s)",      "es": "Intervalo de consulta en espera (s)",              "pl": "Interwał odpytywania w trybie czuwania (s)",       "uk": "Інтервал опитування в режимі очікування (с)",      "zh-cn": "待机时的轮询间隔（秒）"},
+    "REST request getPowerStatus": {                  "en": "REST request getPowerStatus",                      "de": "REST-Anfrage getPowerStatus",                      "ru": "REST-запрос getPowerStatus",                       "pt": "Pedido REST getPowerStatus",                       "nl": "REST-verzoek getPowerStatus",                      "fr": "Requête REST getPowerStatus",                      "it": "Richiesta REST getPowerStatus",                    "es": "Petición REST getPowerStatus",                     "pl": "Zapytanie REST getPowerStatus",                    "uk": "REST-запит getPowerStatus",                        "zh-cn": "REST 请求 getPowerStatus"},
+    "Reachability check": {                           "en": "Reachability check",                               "de": "Erreichbarkeitsprüfung",                           "ru": "Проверка доступности",                             "pt": "Verificação de acessibilidade",                    "nl": "Bereikbaarheidscontrole",                          "fr": "Vérification de l'accessibilité",                  "it": "Controllo raggiungibilità",                        "es": "Comprobación de accesibilidad",                    "pl": "Sprawdzanie osiągalności",                         "uk": "Перевірка доступності",                            "zh-cn": "可达性检查"},
+    "Request PIN": {                                  "en": "Request PIN",                                      "de": "PIN anfordern",                                    "ru": "Запросить PIN",                                    "pt": "Solicitar PIN",                                    "nl": "PIN aanvragen",                                    "fr": "Demander le PIN",                                  "it": "Richiedi PIN",                                     "es": "Solicitar PIN",                                    "pl": "Poproś o PIN",                                     "uk": "Запросити PIN",                                    "zh-cn": "请求 PIN"},
+    "Request retries": {                              "en": "Request retries",                                  "de": "Wiederholungen von Anfragen",                      "ru": "Повторы запросов",                                 "pt": "Repetições de pedidos",                            "nl": "Herhalingen van verzoeken",                        "fr": "Nouvelles tentatives de requête",                  "it": "Ripetizioni delle richieste",                      "es": "Reintentos de peticiones",                         "pl": "Powtórzenia zapytań",                              "uk": "Повтори запитів",                                  "zh-cn": "请求重试次数"},
+    "Retries after timeouts, server errors and \"Display Is Turned off\"": {"en": "Retries after timeouts, server errors and \"Display Is Turned off\"", "de": "Wiederholungen nach Zeitüberschreitungen, Serverfehlern und \"Display Is Turned off\"", "ru": "Повторы после тайм-аутов, ошибок сервера и \"Display Is Turned off\"", "pt": "Repetições após tempos limite, erros do servidor e \"Display Is Turned off\"", "nl": "Herhalingen na time-outs, serverfouten en \"Display Is Turned off\"", "fr": "Nouvelles tentatives après des délais dépassés, des erreurs serveur et \"Display Is Turned off\"", "it": "Ripetizioni dopo timeout, errori del server e \"Display Is Turned off\"", "es": "Reintentos tras tiempos de espera, errores del servidor y \"Display Is Turned off\"", "pl": "Powtórzenia po przekroczeniu czasu, błędach serwera i \"Display Is Turned off\"", "uk": "Повтори після тайм-аутів, помилок сервера та \"Display Is Turned off\"", "zh-cn": "超时、服务器错误和 \"Display Is Turned off\" 后的重试次数"},
+    "Search TVs": {                                   "en": "Search TVs",                                       "de": "Fernseher suchen",                                 "ru": "Искать телевизоры",                                "pt": "Procurar TVs",                                     "nl": "Tv's zoeken",                                      "fr": "Rechercher des téléviseurs",                       "it": "Cerca TV",                                         "es": "Buscar televisores",                               "pl": "Szukaj telewizorów",                               "uk": "Шукати телевізори",                                "zh-cn": "搜索电视"},
+    "Searching...": {                                 "en": "Searching...",                                     "de": "Suche läuft...",                                   "ru": "Поиск...",                                         "pt": "A procurar...",                                    "nl": "Zoeken...",                                        "fr": "Recherche en cours...",                            "it": "Ricerca in corso...",                              "es": "Buscando...",                                      "pl": "Wyszukiwanie...",                                  "uk": "Пошук...",                                         "zh-cn": "正在搜索..."},
     "Set Simple IP Control on": {                     "en": "Set Simple IP Control on",                         "de": "Schalten Sie Simple IP Control ein",               "ru": "Установить простое управление IP на",              "pt": "Definir controle IP simples em",                   "nl": "Stel Simple IP Control in",                        "fr": "Activer le contrôle IP simple",                    "it": "Attiva Simple IP Control",                         "es": "Establecer el control de IP simple en",            "pl": "Włącz włączoną prostą kontrolę IP",                "uk": "",                                                 "zh-cn": "设置简单IP控制"},
     "Set remote device/Renderer on": {                "en": "Set remote device/Renderer on",                    "de": "Remote-Gerät / Renderer einschalten",              "ru": "Установить удаленное устройство / рендерер на",    "pt": "Definir dispositivo / renderizador remoto",        "nl": "Stel apparaat op afstand / renderer in",           "fr": "Définir le périphérique distant / le rendu sur",   "it": "Imposta il dispositivo / renderer remoto",         "es": "Poner el dispositivo / renderizador remoto en",    "pl": "Ustaw zdalne urządzenie / renderer na",            "uk": "",                                                 "zh-cn": "设置远程设备/渲染器"},
+    "Start the instance to search for TVs": {         "en": "Start the instance to search for TVs",             "de": "Starten Sie die Instanz, um nach Fernsehern zu suchen", "ru": "Запустите экземпляр, чтобы искать телевизоры",     "pt": "Inicie a instância para procurar TVs",             "nl": "Start de instantie om tv's te zoeken",             "fr": "Démarrez l'instance pour rechercher des téléviseurs", "it": "Avviare l'istanza per cercare le TV",              "es": "Inicie la instancia para buscar televisores",      "pl": "Uruchom instancję, aby wyszukać telewizory",       "uk": "Запустіть екземпляр, щоб шукати телевізори",       "zh-cn": "启动实例以搜索电视"},
+    "Synchronise channels, inputs and apps daily": {  "en": "Synchronise channels, inputs and apps daily",      "de": "Sender, Eingänge und Apps täglich synchronisieren", "ru": "Ежедневно синхронизировать каналы, входы и приложения", "pt": "Sincronizar canais, entradas e aplicações diariamente", "nl": "Zenders, ingangen en apps dagelijks synchroniseren", "fr": "Synchroniser chaînes, entrées et applications chaque jour", "it": "Sincronizza canali, ingressi e app ogni giorno",   "es": "Sincronizar canales, entradas y aplicaciones a diario", "pl": "Codziennie synchronizuj kanały, wejścia i aplikacje", "uk": "Щодня синхронізувати канали, входи та застосунки", "zh-cn": "每天同步频道、输入和应用"},
+    "TCP connect to the REST port": {                 "en": "TCP connect to the REST port",                     "de": "TCP-Verbindung zum REST-Port",                     "ru": "TCP-подключение к порту REST",                     "pt": "Ligação TCP à porta REST",                         "nl": "TCP-verbinding met de REST-poort",                 "fr": "Connexion TCP au port REST",                       "it": "Connessione TCP alla porta REST",                  "es": "Conexión TCP al puerto REST",                      "pl": "Połączenie TCP z portem REST",                     "uk": "TCP-з'єднання з портом REST",                      "zh-cn": "TCP 连接到 REST 端口"},
+    "TV (name or IP)": {                              "en": "TV (name or IP)",                                  "de": "Fernseher (Name oder IP)",                         "ru": "Телевизор (имя или IP)",                           "pt": "TV (nome ou IP)",                                  "nl": "Tv (naam of IP)",                                  "fr": "Téléviseur (nom ou IP)",                           "it": "TV (nome o IP)",                                   "es": "Televisor (nombre o IP)",                          "pl": "Telewizor (nazwa lub IP)",                         "uk": "Телевізор (ім'я або IP)",                          "zh-cn": "电视（名称或 IP）"},
     "TV Setup": {                                     "en": "TV Setup",                                         "de": "TV-Setup",                                         "ru": "Настройка телевизора",                             "pt": "Configuração de TV",                               "nl": "TV-instellingen",                                  "fr": "Configuration TV",                                 "it": "Impostazione TV",                                  "es": "Configuración de TV",                              "pl": "Konfiguracja telewizora",                          "uk": "",                                                 "zh-cn": "电视设置"},
+    "The TV is already paired": {                     "en": "The TV is already paired",                         "de": "Der Fernseher ist bereits gekoppelt",              "ru": "Телевизор уже сопряжён",                           "pt": "A TV já está emparelhada",                         "nl": "De tv is al gekoppeld",                            "fr": "Le téléviseur est déjà appairé",                   "it": "La TV è già associata",                            "es": "El televisor ya está emparejado",                  "pl": "Telewizor jest już sparowany",                     "uk": "Телевізор уже сполучено",                          "zh-cn": "电视已配对"},
     "Turn your TV on": {                              "en": "Turn your TV on",                                  "de": "Schalten Sie Ihren Fernseher ein",                 "ru": "Включи телевизор",                                 "pt": "Ligue sua TV",                                     "nl": "Schakel uw tv in",                                 "fr": "Allumez votre téléviseur",                         "it": "Accendi la TV",                                    "es": "Enciende tu TV",                                   "pl": "Włącz telewizor",                                  "uk": "Увімкніть Ваш теревізор",                          "zh-cn": "打开电视"},
+    "UDN": {                                          "en": "UDN",                                              "de": "UDN",                                              "ru": "UDN",                                              "pt": "UDN",                                              "nl": "UDN",                                              "fr": "UDN",                                              "it": "UDN",                                              "es": "UDN",                                              "pl": "UDN",                                              "uk": "UDN",                                              "zh-cn": "UDN"},
+    "Unreachable TVs are polled less often, up to every 5 minutes.": {"en": "Unreachable TVs are polled less often, up to every 5 minutes.", "de": "Nicht erreichbare Fernseher werden seltener abgefragt, bis zu alle 5 Minuten.", "ru": "Недоступные телевизоры опрашиваются реже, вплоть до раза в 5 минут.", "pt": "TVs inacessíveis são consultadas com menos frequência, até a cada 5 minutos.", "nl": "Onbereikbare tv's worden minder vaak opgevraagd, tot eens per 5 minuten.", "fr": "Les téléviseurs injoignables sont interrogés moins souvent, jusqu'à toutes les 5 minutes.", "it": "Le TV non raggiungibili vengono interrogate meno spesso, fino a ogni 5 minuti.", "es": "Los televisores inaccesibles se consultan con menos frecuencia, hasta cada 5 minutos.", "pl": "Nieosiągalne telewizory są odpytywane rzadziej, maksymalnie co 5 minut.", "uk": "Недоступні телевізори опитуються рідше, аж до разу на 5 хвилин.", "zh-cn": "无法访问的电视轮询频率降低，最长每 5 分钟一次。"},
+    "Volume step": {                                  "en": "Volume step",                                      "de": "Lautstärkeschritt",                                "ru": "Шаг громкости",                                    "pt": "Passo do volume",                                  "nl": "Volumestap",                                       "fr": "Pas du volume",                                    "it": "Passo del volume",                                 "es": "Paso de volumen",                                  "pl": "Krok głośności",                                   "uk": "Крок гучності",                                    "zh-cn": "音量步长"},
+    "Wake-on-LAN retries": {                          "en": "Wake-on-LAN retries",                              "de": "Wake-on-LAN Wiederholungen",                       "ru": "Повторы Wake-on-LAN",                              "pt": "Tentativas de Wake-on-LAN",                        "nl": "Wake-on-LAN herhalingen",                          "fr": "Tentatives Wake-on-LAN",                           "it": "Tentativi Wake-on-LAN",                            "es": "Reintentos de Wake-on-LAN",                        "pl": "Powtórzenia Wake-on-LAN",                          "uk": "Повтори Wake-on-LAN",                              "zh-cn": "网络唤醒重试次数"},
+    "With a UDN the TV is found again when its IP address changes. Use the search to fill it in.": {"en": "With a UDN the TV is found again when its IP address changes. Use the search to fill it in.", "de": "Mit einer UDN wird der Fernseher wiedergefunden, wenn sich seine IP-Adresse ändert. Die Suche trägt sie ein.", "ru": "С UDN телевизор будет найден снова, если его IP-адрес изменится. Используйте поиск, чтобы заполнить его.", "pt": "Com um UDN a TV é encontrada novamente quando o seu endereço IP muda. Use a pesquisa para preenchê-lo.", "nl": "Met een UDN wordt de tv teruggevonden als het IP-adres verandert. Gebruik de zoekfunctie om het in te vullen.", "fr": "Avec un UDN, le téléviseur est retrouvé lorsque son adresse IP change. Utilisez la recherche pour le renseigner.", "it": "Con un UDN la TV viene ritrovata quando cambia il suo indirizzo IP. Usare la ricerca per compilarlo.", "es": "Con un UDN el televisor se vuelve a encontrar cuando cambia su dirección IP. Use la búsqueda para rellenarlo.", "pl": "Dzięki UDN telewizor zostanie ponownie znaleziony, gdy zmieni się jego adres IP. Użyj wyszukiwania, aby go uzupełnić.", "uk": "З UDN телевізор буде знайдено знову, коли зміниться його IP-адреса. Скористайтеся пошуком, щоб заповнити його.", "zh-cn": "设置 UDN 后，电视的 IP 地址变化时会被重新找到。使用搜索功能填写。"},
+    "e.g. TV channels of one source, read in pages of 100": {"en": "e.g. TV channels of one source, read in pages of 100", "de": "z. B. TV-Sender einer Quelle, gelesen in Seiten zu 100", "ru": "например, телеканалы одного источника, читаются страницами по 100", "pt": "p. ex. canais de TV de uma fonte, lidos em páginas de 100", "nl": "bijv. tv-zenders van één bron, gelezen in pagina's van 100", "fr": "p. ex. les chaînes TV d'une source, lues par pages de 100", "it": "ad es. i canali TV di una sorgente, letti in pagine da 100", "es": "p. ej. canales de TV de una fuente, leídos en páginas de 100", "pl": "np. kanały TV jednego źródła, czytane stronami po 100", "uk": "напр. телеканали одного джерела, читаються сторінками по 100", "zh-cn": "例如一个信号源的电视频道，每页读取 100 个"},
     "on save adapter restarts with new config immediately": {"en": "on save adapter restarts with new config immediately", "de": "Beim Speichern von Einstellungen wird der Adapter neu gestartet", "ru": "При сохранении адаптер перезапускается с новым конфигом немедленно.", "pt": "Em salvar adaptador reinicia com nova configuração imediatamente.", "nl": "On save-adapter wordt onmiddellijk opnieuw opgestart met nieuwe config.", "fr": "Lors de la sauvegarde, l’adaptateur redémarre immédiatement avec la nouvelle configuration.", "it": "On save adapter si riavvia immediatamente con la nuova configurazione.", "es": "En guardar adaptador se reinicia con nueva configuración de inmediato.", "pl": "Po zapisaniu adapter natychmiast uruchamia się z nową konfiguracją.", "uk": "при збережені, адаптер негайно перезавантажується з новою конфігурацією", "zh-cn": "保存适配器立即重新启动新配置"},
 };
\ No newline at end of file
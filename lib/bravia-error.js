@@ -0,0 +1,80 @@
+'use strict';
+
+/**
+ * Kinds of failures scripts and the adapter react on:
+ * - auth: wrong PSK or expired PIN registration
+ * - unsupported: method or version not available on this TV
+ * - display-off: the TV is on, but its display is turned off
+ * - busy: the TV cannot handle the request in its current state
+ * - network: no answer from the TV
+ * - other: everything else
+ */
+const CATEGORIES = ['auth', 'unsupported', 'display-off', 'busy', 'network', 'other'];
+
+// Sony JSON-RPC error codes, see https://pro-bravia.sony.net/develop/integrate/rest-api/doc/errorcode/
+const SONY_ERROR_CATEGORIES = {
+    7: 'busy', // Illegal State
+    12: 'unsupported', // No Such Method
+    14: 'unsupported', // Unsupported Version
+    15: 'unsupported', // Unsupported Operation
+    401: 'auth', // Unauthorized
+    403: 'auth', // Forbidden
+    501: 'unsupported', // Not Implemented
+    40005: 'display-off', // Display Is Turned off
+};
+
+/**
+ * Error of a request to a TV.
+ */
+class BraviaError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [details]
+     * @param {number} [details.code] Sony error code, e.g. 40005
+     * @param {number} [details.statusCode] HTTP status code
+     * @param {Error} [details.cause] underlying network error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'BraviaError';
+        this.code = details.code;
+        this.statusCode = details.statusCode;
+        this.cause = details.cause;
+        /** @type {string} one of CATEGORIES */
+        this.category = BraviaError.categorize(details);
+    }
+
+    /**
+     * @param {{code?: number, statusCode?: number, cause?: Error}} details
+     * @returns {string} one of CATEGORIES
+     */
+    static categorize(details) {
+        if (details.code !== undefined && SONY_ERROR_CATEGORIES[details.code]) {
+            return SONY_ERROR_CATEGORIES[details.code];
+        }
+        if (details.statusCode === 401 || details.statusCode === 403) {
+            return 'auth';
+        }
+        if (details.statusCode === 404 || details.statusCode === 501) {
+            return 'unsupported';
+        }
+        if (details.cause) {
+            return 'network';
+        }
+        return 'other';
+    }
+
+    /**
+     * @param {string} prefix e.g. the method name
+     * @param {[number, string]} error error array of a JSON-RPC response
+     * @param {number} [statusCode]
+     * @returns {BraviaError}
+     */
+    static fromSonyError(prefix, error, statusCode) {
+        return new BraviaError(`${prefix}. ${error[1] || 'Error'} (${error[0]})`, { code: error[0], statusCode });
+    }
+}
+
+BraviaError.CATEGORIES = CATEGORIES;
+
+module.exports = BraviaError;
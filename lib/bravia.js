@@ -1,11 +1,15 @@
 'use strict';
 
 const SsdpClient = require('node-ssdp').Client;
-const Request = require('request');
+const http = require('node:http');
+const crypto = require('node:crypto');
 const URL = require('node:url');
 const parseString = require('xml2js').parseString;
 
 const ServiceProtocol = require('./service-protocol');
+const RequestQueue = require('./request-queue');
+const BraviaError = require('./bravia-error');
+const HttpClient = require('./http-client');
 
 const SSDP_SERVICE_TYPE = 'urn:schemas-sony-com:service:IRCC:1';
 const SERVICE_PROTOCOLS = [
@@ -19,9 +23,36 @@ const SERVICE_PROTOCOLS = [
     'guide',
     'recording',
     'system',
+    'video',
     'videoScreen'
 ];
 const DEFAULT_TIME_BETWEEN_COMMANDS = 350;
+// Methods that take longer than the default timeout
+const METHOD_TIMEOUTS = {
+    setPowerStatus: 10000,
+    getContentList: 15000,
+    getApplicationList: 10000,
+    setPlayContent: 10000,
+    setActiveApp: 10000,
+};
+// Setters that leave the TV in the same state when they run twice, all getters are idempotent as well
+const IDEMPOTENT_METHODS = [
+    'setPowerStatus',
+    'setAudioMute',
+    'setPlayContent',
+    'setActiveApp',
+    'terminateApps',
+    'setTextForm',
+    'setPictureQualitySettings',
+    'setSoundSettings',
+    'setSpeakerSettings'
+];
+// Items per getContentList request, the API allows up to 200
+const CONTENT_PAGE_SIZE = 100;
+// Sony error codes of commands that may succeed a moment later, e.g. while the TV is still waking up
+const TRANSIENT_SONY_ERRORS = [
+    40005 // Display Is Turned off
+];
 
 class Bravia {
     constructor(host, port = 80, psk = '0000', timeout = 5000) {
@@ -41,17 +72,167 @@ class Bravia {
         this._codes = [];
 
         this.apiInfoMap = new Map();
+        // IRCC and JSON-RPC requests, one at a time by default
+        this.queue = new RequestQueue();
+        this.agent = new http.Agent({ keepAlive: true, maxSockets: 2 });
+
+        // PIN pairing (cookie authentication), see usePinAuth()
+        this.clientId = null;
+        this.nickname = null;
+        this.cookie = null;
+        this.cookieExpires = null;
+        this.onAuthCookie = null;
+        this._renewing = null;
     }
 
-    static discover(timeout = 3000) {
-        return new Promise((resolve, reject) => {
+    /**
+     * Authenticates with the cookie of a PIN registration instead of the Pre-Shared Key.
+     * @param {string} clientId id the TV registers this client under
+     * @param {string} nickname name shown in the TV's list of registered devices
+     * @param {string|null} cookie auth cookie of an earlier registration
+     * @param {number|null} expires expiry of the cookie (ms since epoch)
+     */
+    usePinAuth(clientId, nickname, cookie = null, expires = null) {
+        this.psk = null;
+        this.clientId = clientId;
+        this.nickname = nickname;
+        this.cookie = cookie;
+        this.cookieExpires = expires;
+    }
+
+    _authHeaders() {
+        if (this.clientId) {
+            return this.cookie ? { 'Cookie': this.cookie } : {};
+        }
+        return { 'X-Auth-PSK': this.psk };
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/accesscontrol/v1_0/actRegister/
+     * Without PIN the TV shows a 4-digit PIN and answers 401. Called again with that PIN it returns the auth cookie.
+     * Clients that are already registered get a new cookie without PIN.
+     * @param {string} [pin] PIN shown on the TV
+     * @returns {Promise<{cookie: string, expires: number|null}>}
+     */
+    async register(pin) {
+        if (!this.clientId) {
+            throw new BraviaError('actRegister. PIN authentication is not enabled');
+        }
+        const headers = Object.assign({ 'Content-Type': 'application/json; charset=UTF-8' }, this._authHeaders());
+        if (pin) {
+            headers['Authorization'] = `Basic ${Buffer.from(`:${pin}`).toString('base64')}`;
+        }
+
+        const response = await HttpClient.request('POST', this._url + '/accessControl', {
+            timeout: this.timeout,
+            agent: this.agent,
+            headers: headers,
+            body: JSON.stringify({
+                method: 'actRegister',
+                id: 8,
+                params: [
+                    { clientid: this.clientId, nickname: this.nickname, level: 'private' },
+                    [{ value: 'yes', function: 'WOL' }]
+                ],
+                version: '1.0',
+            }),
+        });
+        if (response.statusCode === 401) {
+            throw new BraviaError('actRegister. PIN required, the TV shows it now.', { statusCode: 401 });
+        } else if (response.statusCode !== 200) {
+            throw await this._responseError('actRegister', response);
+        }
+
+        const header = [].concat(response.headers['set-cookie'] || []).find(cookie => cookie.startsWith('auth='));
+        if (!header) {
+            throw new BraviaError(`actRegister. Response error. Missing auth cookie. ${response.body}`);
+        }
+        const maxAge = /max-age=(\d+)/i.exec(header);
+        this.cookie = header.split(';')[0];
+        this.cookieExpires = maxAge ? Date.now() + maxAge[1] * 1000 : null;
+        this.onAuthCookie && this.onAuthCookie(this.cookie, this.cookieExpires);
+        return { cookie: this.cookie, expires: this.cookieExpires };
+    }
+
+    /**
+     * Runs a request. With PIN authentication a rejected cookie is renewed once and the request is repeated.
+     * Without cookie nothing is registered: actRegister without PIN makes the TV show a new PIN, which would replace
+     * the one the user is typing.
+     * @param {() => Promise<any>} call
+     */
+    _authorized(call) {
+        return call().catch(error => {
+            if (this.clientId && this.cookie && (error.statusCode === 401 || error.statusCode === 403)) {
+                return this._renewCookie().then(() => call());
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Registers again without PIN, once for all requests the TV rejected at the same time.
+     * If the registration is gone, the cookie is dropped until the TV is paired again.
+     */
+    _renewCookie() {
+        if (!this._renewing) {
+            this._renewing = this.register()
+                .catch(error => {
+                    if (error.statusCode === 401) {
+                        this.cookie = null;
+                        this.cookieExpires = null;
+                    }
+                    throw error;
+                })
+                .finally(() => (this._renewing = null));
+        }
+        return this._renewing;
+    }
+
+    /**
+     * Calls any method of the REST API, for methods this class does not wrap.
+     * @param {string} service one of SERVICE_PROTOCOLS, e.g. 'audio'
+     * @param {string} method e.g. 'getSoundSettings'
+     * @param {string} [version] API version of the method
+     * @param {any[]} [params] JSON-RPC params
+     * @returns {Promise<any>} JSON-RPC response as it is, including a Sony error
+     */
+    invoke(service, method, version = '1.0', params = []) {
+        if (!this.protocols.includes(service)) {
+            return Promise.reject(new BraviaError(`Unknown service ${service}. Known services: ${this.protocols.join(', ')}`));
+        }
+        if (!method || typeof method !== 'string') {
+            return Promise.reject(new BraviaError(`${service}. Missing method`));
+        }
+        return this[service].call(method, version, params);
+    }
+
+    /**
+     * Points the controller to a new address, e.g. after the TV got a new DHCP lease.
+     * @param {string} host
+     * @param {number|string} port
+     */
+    setHost(host, port = this.port) {
+        this.host = host;
+        this.port = port;
+        this._url = `http://${this.host}:${this.port}/sony`;
+    }
+
+    /**
+     * Searches the TVs in the local network. Devices whose description cannot be read are skipped.
+     * @param {number} [timeout] duration of the search in ms
+     * @param {(error: BraviaError) => void} [onSkipped] called for every skipped device
+     * @returns {Promise<object[]>} host, port, friendlyName, manufacturer, manufacturerURL, modelName and UDN per TV
+     */
+    static discover(timeout = 3000, onSkipped = () => {}) {
+        return new Promise(resolve => {
             let ssdp = new SsdpClient();
             let discovered = [];
 
             ssdp.on('response', (headers, statusCode, data) => {
                 if (statusCode === 200) {
-                    Request.get(headers.LOCATION, (error, response, body) => {
-                        if (!error && response.statusCode === 200) {
+                    HttpClient.request('GET', headers.LOCATION, { timeout: timeout }).then(response => {
+                        const body = response.body;
+                        if (response.statusCode === 200) {
                             parseString(body, (err, result) => {
                                 if (!err) {
                                     try {
@@ -62,9 +243,12 @@ class Bravia {
                                         let service = device.serviceList[0].service
                                             .find(service => service.serviceType[0] === SSDP_SERVICE_TYPE);
 
+                                        if (discovered.some(known => known.UDN === device.UDN[0])) {  // TVs answer the search more than once
+                                            return;
+                                        }
                                         let api = URL.parse(service.controlURL[0]);
                                         discovered.push({
-                                            host: api.host,
+                                            host: api.hostname,
                                             port: (api.port || 80),
                                             friendlyName: device.friendlyName[0],
                                             manufacturer: device.manufacturer[0],
@@ -73,28 +257,25 @@ class Bravia {
                                             UDN: device.UDN[0]
                                         });
                                     } catch (e) {
-                                        failed(new Error(`Unexpected or malformed discovery response: ${result}.`));
+                                        skip(new BraviaError(`Unexpected or malformed discovery response of ${data.address}: ${e}.`));
                                     }
                                 } else {
-                                    failed(new Error(`Failed to parse the discovery response: ${body}.`));
+                                    skip(new BraviaError(`Failed to parse the discovery response of ${data.address}: ${body}.`));
                                 }
                             });
                         } else {
-                            failed(new Error(`Error retrieving the description metadata for device ${data.address}.`));
+                            skip(new BraviaError(`Error retrieving the description metadata for device ${data.address}.`));
                         }
-                    });
+                    }, () => skip(new BraviaError(`Error retrieving the description metadata for device ${data.address}.`)));
                 }
             });
 
             ssdp.search(SSDP_SERVICE_TYPE);
 
-            let failed = error => {
-                ssdp.stop();
-                clearTimeout(timer);
-                reject(error);
-            };
+            // e.g. another UPnP device or a TV that answers too slowly, the search goes on
+            let skip = error => onSkipped(error);
 
-            let timer = setTimeout(() => {
+            setTimeout(() => {
                 ssdp.stop();
                 resolve(discovered);
             }, timeout);
@@ -117,6 +298,13 @@ class Bravia {
         });
     }
 
+    /**
+     * Sends IRCC codes with DEFAULT_TIME_BETWEEN_COMMANDS between them. Key names are resolved before the first
+     * code is sent, so an unknown name does not leave a half-sent sequence.
+     * @param {string|(string|{wait: number})[]} codes IRCC codes, key names as reported by getRemoteControllerInfo
+     * and additional waits in ms
+     * @returns {Promise<void>}
+     */
     send(codes) {
         return new Promise((resolve, reject) => {
             if (typeof codes === 'string') {
@@ -127,19 +315,10 @@ class Bravia {
             let next = () => {
                 if (index < codes.length) {
                     let code = codes[index++];
-                    if (/^[A]{5}[a-zA-Z0-9]{13}[\=]{2}$/.test(code)) {
-                        sendIt(code);
+                    if (typeof code === 'object') {
+                        setTimeout(() => next(), code.wait);
                     } else {
-                        this.getIRCCCodes()
-                            .then(response => {
-                                let ircc = response.find(ircc => ircc.name === code);
-                                if (!ircc) {
-                                    reject(new Error(`Unknown IRCC code ${code}.`));
-                                    return;
-                                }
-
-                                sendIt(ircc.value);
-                            }, reject);
+                        sendIt(code);
                     }
                 } else {
                     resolve();
@@ -162,50 +341,115 @@ class Bravia {
                 }).then(() => setTimeout(() => next(), this.delay), reject).catch(reject);
             };
 
-            next();
+            this._resolveCodes(codes).then(resolved => {
+                codes = resolved;
+                next();
+            }, reject);
         });
     }
 
+    /**
+     * @param {(string|{wait: number})[]} codes IRCC codes, key names and waits
+     * @returns {Promise<(string|{wait: number})[]>} the same steps with IRCC codes instead of key names
+     */
+    _resolveCodes(codes) {
+        // IRCC codes are base64, e.g. AAAAAQAAAAEAAAA+Aw==, and all start with AAAAA unlike the key names
+        const isCode = code => typeof code === 'object' || /^A{5}[A-Za-z0-9+/]*={0,2}$/.test(code);
+        if (codes.every(isCode)) {
+            return Promise.resolve(codes);
+        }
+        return this.getIRCCCodes().then(response => codes.map(code => {
+            if (isCode(code) || response.some(ircc => ircc.value === code)) {
+                return code;
+            }
+            const ircc = response.find(ircc => ircc.name === code) ||
+                response.find(ircc => String(ircc.name).toLowerCase() === String(code).toLowerCase());
+            if (!ircc) {
+                throw new BraviaError(`Unknown IRCC code ${code}.`);
+            }
+            return ircc.value;
+        }));
+    }
+
     _request(options) {
-        return new Promise((resolve, reject) => {
-            options.timeout = this.timeout;
-            options.url = this._url + options.path;
-            options.headers = {
-                'Content-Type': 'text/xml; charset=UTF-8',
-                'SOAPACTION': '"urn:schemas-sony-com:service:IRCC:1#X_SendIRCC"',
-                'X-Auth-PSK': this.psk
-            };
+        return this._authorized(() => this.queue.add(async () => {
+            const response = await HttpClient.request('POST', this._url + options.path, {
+                timeout: this.timeout,
+                agent: this.agent,
+                headers: Object.assign({
+                    'Content-Type': 'text/xml; charset=UTF-8',
+                    'SOAPACTION': '"urn:schemas-sony-com:service:IRCC:1#X_SendIRCC"'
+                }, this._authHeaders()),
+                body: options.body,
+            });
+            if (response.statusCode !== 200) {
+                throw await this._responseError(options.path.substring(1), response);
+            }
+            return response.body;
+        }, { idempotent: false }));
+    }
 
-            Request.post(options, (error, response, body) => {
-                if (!error && response && response.statusCode === 200) {
-                    resolve(body);
-                } else {
-                    if (error) {
-                        reject(error);
-                    } else if (!response) {
-                        reject(new Error(`Response error`));
-                    } else if (response.statusCode !== 200) {
-                        reject(new Error(`Response error, status code: ${response.statusCode}.`));
-                    } else if (body.error) {
-                        reject(new Error(body.error[1]));
-                    } else {
-                        parseString(body, (err, result) => {
-                            if (!err) {
-                                try {
-                                    reject(new Error(result['s:Envelope']['s:Body'][0]['s:Fault'][0]['detail'][0]['UPnPError'][0]['errorDescription'][0]));
-                                } catch (e) {
-                                    reject(new Error(`Unexpected or malformed error response: ${result}.`));
-                                }
-                            } else {
-                                reject(new Error(`Failed to parse the error response: ${body}.`));
-                            }
-                        });
+    /**
+     * Builds the error of a failed request from the JSON-RPC error or the UPnP fault in the response body.
+     * @param {string} prefix e.g. the method name
+     * @param {import('./http-client').HttpResponse} response
+     * @returns {Promise<BraviaError>}
+     */
+    _responseError(prefix, response) {
+        return new Promise(resolve => {
+            const fallback = () => resolve(new BraviaError(`${prefix}. Response error, status code: ${response.statusCode}.`, {
+                statusCode: response.statusCode
+            }));
+            const body = response.body || '';
+            if (body.startsWith('{')) {
+                try {
+                    const json = JSON.parse(body);
+                    if (Array.isArray(json.error)) {
+                        resolve(BraviaError.fromSonyError(prefix, json.error, response.statusCode));
+                        return;
                     }
+                } catch (e) {
+                    // not JSON after all
                 }
-            });
+                fallback();
+            } else if (body.startsWith('<')) {
+                parseString(body, (err, result) => {
+                    try {
+                        const fault = result['s:Envelope']['s:Body'][0]['s:Fault'][0]['detail'][0]['UPnPError'][0];
+                        resolve(new BraviaError(`${prefix}. ${fault['errorDescription'][0]}`, {
+                            code: parseInt(fault['errorCode'][0], 10),
+                            statusCode: response.statusCode
+                        }));
+                    } catch (e) {
+                        fallback();
+                    }
+                });
+            } else {
+                fallback();
+            }
         });
     }
 
+    /**
+     * Builds the error of a JSON-RPC response without result.
+     * @param {string} prefix e.g. the method name
+     * @param {any} body parsed response
+     * @returns {BraviaError}
+     */
+    _resultError(prefix, body) {
+        if (Array.isArray(body.error)) {
+            return BraviaError.fromSonyError(prefix, body.error);
+        }
+        return new BraviaError(`${prefix}. Response error. Missing result. ${JSON.stringify(body)}`);
+    }
+
+    /**
+     * Closes the keep-alive connections to the TV.
+     */
+    close() {
+        this.agent.destroy();
+    }
+
     /**
      * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/system/v1_0/getInterfaceInformation/
      * {
@@ -226,8 +470,38 @@ class Bravia {
                 if (body.result) {
                     resolve(`${body.result[0].modelName} ${body.result[0].productName}/${body.result[0].interfaceVersion}`);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getInterfaceInformation. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getInterfaceInformation`, body));
+                }
+            }).catch(error => {
+                reject(error);
+            });
+        });
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/system/v1_0/getSystemInformation/
+     * {
+     *   "result": [{
+     *     "product": "TV",
+     *     "region": "XEU",
+     *     "language": "ger",
+     *     "model": "KD-65X8507C",
+     *     "serial": "1234567",
+     *     "macAddr": "AA:BB:CC:DD:EE:FF",
+     *     "name": "BRAVIA",
+     *     "generation": "5.0.1"
+     *   }],
+     *   "id": 33
+     * }
+     * @returns result
+     */
+    getSystemInformation() {
+        return new Promise((resolve, reject) => {
+            this._jsonRequest('system', 'getSystemInformation').then(body => {
+                if (body.result) {
+                    resolve(body.result[0]);
+                } else {
+                    reject(this._resultError(`getSystemInformation`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -259,12 +533,8 @@ class Bravia {
             this._jsonRequest("avContent", "getPlayingContentInfo").then(body => {
                 if (body.result) {
                     resolve(body.result[0]);
-                } else if (body.error) {
-                    // What to return when display ist turned off
-                    reject(body.error);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getPlayingContentInfo. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getPlayingContentInfo`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -300,13 +570,8 @@ class Bravia {
             this._jsonRequest("audio", "getVolumeInformation").then(body => {
                 if (body.result) {
                     resolve(body.result);
-                }
-                else if (body.error && body.error[0] == 40005) {
-                    // Display Is Turned off
-                    resolve(body.error);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getVolumeInformation. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getVolumeInformation`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -327,7 +592,7 @@ class Bravia {
                 this.setVolumeInternal(_target, _volume, "1.0").then(result => {
                     resolve(result);
                 }).catch(error => {
-                    resolve([]);
+                    reject(error);
                 });
             });
         });
@@ -339,8 +604,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`setAudioVolume ${_target} ${_version}. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`setAudioVolume ${_target} ${_version}`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -348,19 +612,104 @@ class Bravia {
         });
     }
 
-    setMute(_status) {
-        return new Promise((resolve, reject) => {
-            this._jsonRequest("audio", "setAudioMute", [{ status: _status }], "1.0").then(body => {
-                if (body.result) {
-                    resolve(body.result[0]);
-                } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`setAudioMute. Response error. Missing result. ${err}`));
-                }
-            }).catch(error => {
-                reject(error);
-            });
-        });
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/audio/v1_0/setAudioMute/
+     * @param {boolean} _status
+     * @param {string} [_target] e.g. 'speaker', only versions after 1.0 take it, 1.0 mutes all outputs
+     */
+    async setMute(_status, _target) {
+        const version = await this.getSupportedApiVersion('audio', 'setAudioMute').catch(() => '1.0');
+        const params = { status: _status };
+        if (_target && version !== '1.0') {
+            params.target = _target;
+        }
+        const body = await this._jsonRequest('audio', 'setAudioMute', [params], version);
+        if (!body.result) {
+            throw this._resultError(`setAudioMute ${_target || ''} ${version}`, body);
+        }
+        return body.result[0];
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/video/v1_0/getPictureQualitySettings/
+     * @returns {Promise<{target: string, currentValue: string, isAvailable?: boolean, candidate?: any[]}[]>}
+     */
+    getPictureQualitySettings() {
+        return this._getSettings('video', 'getPictureQualitySettings');
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/video/v1_0/setPictureQualitySettings/
+     * @param {string} _target e.g. 'pictureMode'
+     * @param {string} _value e.g. 'cinema'
+     */
+    setPictureQualitySettings(_target, _value) {
+        return this._setSettings('video', 'setPictureQualitySettings', _target, _value);
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/audio/v1_1/getSoundSettings/
+     * @returns {Promise<{target: string, currentValue: string, isAvailable?: boolean, candidate?: any[]}[]>}
+     */
+    getSoundSettings() {
+        return this._getSettings('audio', 'getSoundSettings');
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/audio/v1_1/setSoundSettings/
+     * @param {string} _target e.g. 'outputTerminal'
+     * @param {string} _value e.g. 'audioSystem'
+     */
+    setSoundSettings(_target, _value) {
+        return this._setSettings('audio', 'setSoundSettings', _target, _value);
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/audio/v1_0/getSpeakerSettings/
+     * @returns {Promise<{target: string, currentValue: string, isAvailable?: boolean, candidate?: any[]}[]>}
+     */
+    getSpeakerSettings() {
+        return this._getSettings('audio', 'getSpeakerSettings');
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/audio/v1_0/setSpeakerSettings/
+     * @param {string} _target e.g. 'tvPosition'
+     * @param {string} _value e.g. 'wallMount'
+     */
+    setSpeakerSettings(_target, _value) {
+        return this._setSettings('audio', 'setSpeakerSettings', _target, _value);
+    }
+
+    /**
+     * Reads all settings of a get...Settings method.
+     * @param {string} service
+     * @param {string} method
+     * @returns {Promise<{target: string, currentValue: string, isAvailable?: boolean, candidate?: any[]}[]>}
+     */
+    async _getSettings(service, method) {
+        const version = await this.getSupportedApiVersion(service, method);
+        const body = await this._jsonRequest(service, method, [{ target: '' }], version);
+        if (!body.result || !Array.isArray(body.result[0])) {
+            throw this._resultError(`${method} ${version}`, body);
+        }
+        return body.result[0];
+    }
+
+    /**
+     * Changes one setting by a set...Settings method.
+     * @param {string} service
+     * @param {string} method
+     * @param {string} target
+     * @param {string} value
+     */
+    async _setSettings(service, method, target, value) {
+        const version = await this.getSupportedApiVersion(service, method);
+        const body = await this._jsonRequest(service, method, [{ settings: [{ target, value }] }], version);
+        if (!body.result) {
+            throw this._resultError(`${method} ${target} ${version}`, body);
+        }
+        return body.result[0];
     }
 
     getPowerStatus() {
@@ -369,8 +718,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getPowerStatus. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getPowerStatus`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -378,14 +726,17 @@ class Bravia {
         });
     }
 
-    setPowerStatus(_status) {
+    /**
+     * @param {boolean} _status
+     * @param {{timeout?: number, retries?: number}} [_options] e.g. a short timeout without retries while waking the TV
+     */
+    setPowerStatus(_status, _options) {
         return new Promise((resolve, reject) => {
-            this._jsonRequest("system", "setPowerStatus", [{ "status": (_status) }]).then(body => {
+            this._jsonRequest("system", "setPowerStatus", [{ "status": (_status) }], '1.0', 1337, _options).then(body => {
                 if (body.result) {
                     resolve(body);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`setPowerStatus. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`setPowerStatus`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -399,8 +750,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getSchemeList. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getSchemeList`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -414,8 +764,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getSourceList. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getSourceList`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -429,8 +778,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getSupportedApiInfo. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getSupportedApiInfo`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -438,6 +786,33 @@ class Bravia {
         });
     }
 
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/guide/v1_0/getSupportedApiInfo/
+     * Reads the APIs of all services the TV supports.
+     * @returns {Promise<Record<string, Record<string, string[]>>>} versions by method by service
+     */
+    getCapabilities() {
+        return new Promise((resolve, reject) => {
+            this._jsonRequest('guide', 'getSupportedApiInfo', [{ services: [] }]).then(body => {
+                if (!body.result) {
+                    reject(this._resultError('getSupportedApiInfo', body));
+                    return;
+                }
+                const capabilities = {};
+                for (const service of body.result[0]) {
+                    this.apiInfoMap.set(service.service, [service]);
+                    capabilities[service.service] = {};
+                    for (const api of service.apis || []) {
+                        capabilities[service.service][api.name] = (api.versions || []).map(version => version.version);
+                    }
+                }
+                resolve(capabilities);
+            }).catch(error => {
+                reject(error);
+            });
+        });
+    }
+
     async getSupportedApiVersion(_schema, _methode) {
         let apiInfo = this.apiInfoMap.get(_schema);
         if (!apiInfo) {
@@ -452,7 +827,63 @@ class Bravia {
         return "1.0";
     }
 
-    getContentList(_startIndex, _count, _source) {
+    /**
+     * Reads up to _count items of a content list, page by page.
+     * @param {number} _startIndex index of the first item
+     * @param {number} _count maximum number of items, may be Infinity
+     * @param {string} _source e.g. 'tv:dvbc' or 'extInput:hdmi'
+     * @returns {Promise<any[]>}
+     */
+    async getContentList(_startIndex, _count, _source) {
+        let total = null;
+        try {
+            total = await this.getContentCount(_source);
+        } catch (error) {
+            // without count the list is read until a page is not full
+        }
+        const end = total === null ? _startIndex + _count : Math.min(_startIndex + _count, total);
+        const content = [];
+        for (let index = _startIndex; index < end;) {
+            const count = Math.min(CONTENT_PAGE_SIZE, end - index);
+            let page;
+            try {
+                page = await this.getContentListPage(index, count, _source);
+            } catch (error) {
+                if (index === _startIndex || total !== null) {
+                    throw error;
+                }
+                // some TVs answer with an error instead of an empty page after the last item
+                break;
+            }
+            if (!Array.isArray(page)) {
+                throw new BraviaError(`getContentList ${_source}. Unknown content response ${JSON.stringify(page)}`);
+            }
+            content.push(...page);
+            if (page.length < count) {
+                break;
+            }
+            index += page.length;
+        }
+        return content;
+    }
+
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/avcontent/v1_1/getContentCount/
+     * @param {string} _source e.g. 'tv:dvbc'
+     * @returns {Promise<number>} number of items of the content list
+     */
+    async getContentCount(_source) {
+        const version = await this.getSupportedApiVersion('avContent', 'getContentCount');
+        // version 1.0 takes the source, later versions the uri
+        const params = version === '1.0' ? { source: _source } : { uri: _source };
+        const body = await this._jsonRequest('avContent', 'getContentCount', [params], version);
+        if (!body.result || typeof body.result[0].count !== 'number') {
+            throw this._resultError(`getContentCount ${_source}`, body);
+        }
+        return body.result[0].count;
+    }
+
+    getContentListPage(_startIndex, _count, _source) {
         return new Promise((resolve, reject) => {
             this.getSupportedApiVersion("avContent", "getContentList").then(version => {
                 this.getContentListInternal(_startIndex, _count, _source, version).then(result => {
@@ -465,7 +896,8 @@ class Bravia {
                 this.getContentListInternal(_startIndex, _count, _source, "1.0").then(result => {
                     resolve(result);
                 }).catch(error => {
-                    resolve([]);
+                    // an empty list would delete the objects of the source with the next content sync
+                    reject(error);
                 });
             });
         });
@@ -477,8 +909,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getContentList ${_version} ${_source}. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getContentList ${_version} ${_source}`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -492,8 +923,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`setPlayContent. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`setPlayContent`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -507,8 +937,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`getApplicationList. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`getApplicationList`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -516,14 +945,19 @@ class Bravia {
         });
     }
 
-    setActiveApp(_uri) {
+    /**
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/appcontrol/v1_0/setActiveApp/
+     * @param {string} _uri e.g. an app URI or localapp://webappruntime?url=<encoded URL>
+     * @param {string} [_data] passed to the app, e.g. a deep link
+     */
+    setActiveApp(_uri, _data) {
+        const params = _data === undefined ? { uri: _uri } : { uri: _uri, data: _data };
         return new Promise((resolve, reject) => {
-            this._jsonRequest("appControl", "setActiveApp", [{ uri: _uri }]).then(body => {
+            this._jsonRequest('appControl', 'setActiveApp', [params]).then(body => {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`setActiveApp. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`setActiveApp`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -537,8 +971,7 @@ class Bravia {
                 if (body.result) {
                     resolve(body.result[0]);
                 } else {
-                    let err = JSON.stringify(body);
-                    reject(new Error(`terminateApps. Response error. Missing result. ${err}`));
+                    reject(this._resultError(`terminateApps`, body));
                 }
             }).catch(error => {
                 reject(error);
@@ -546,38 +979,125 @@ class Bravia {
         });
     }
 
-    _jsonRequest(_serviceProtocol/*: string*/, _method/*: string*/, _params/*: string[]*/ = [], _version = "1.0", _id = 1337) {
-        return new Promise((resolve, reject) => {
-            Request.post({
-                timeout: this.timeout,
-                url: this._url + "/" + _serviceProtocol,
-                headers: {
-                    'Content-Type': 'application/json; charset=UTF-8',
-                    'X-Auth-PSK': this.psk
-                },
-                method: 'POST',
+    /**
+     * Types a text into the text field that has the focus, e.g. the search of an app.
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/appcontrol/v1_1/setTextForm/
+     * Version 1.1 takes the text encrypted, see _textKey.
+     * @param {string} _text
+     */
+    async setTextForm(_text) {
+        const version = await this.getSupportedApiVersion('appControl', 'setTextForm');
+        let params = _text;
+        if (version !== '1.0') {
+            const textKey = await this._textKey();
+            params = { encKey: textKey.encKey, text: textKey.encrypt(_text) };
+        }
+        const body = await this._jsonRequest('appControl', 'setTextForm', [params], version);
+        if (!body.result) {
+            throw this._resultError(`setTextForm ${version}`, body);
+        }
+        return body.result[0];
+    }
+
+    /**
+     * Reads the text field that has the focus. Without a focused text field the TV answers with an error.
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/appcontrol/v1_1/getTextForm/
+     * @returns {Promise<string>} text of the field
+     */
+    async getTextForm() {
+        const version = await this.getSupportedApiVersion('appControl', 'getTextForm');
+        const textKey = version === '1.0' ? null : await this._textKey();
+        const params = textKey ? [{ encKey: textKey.encKey }] : [];
+        const body = await this._jsonRequest('appControl', 'getTextForm', params, version);
+        if (!body.result || !body.result[0] || typeof body.result[0].text !== 'string') {
+            throw this._resultError(`getTextForm ${version}`, body);
+        }
+        return textKey ? textKey.decrypt(body.result[0].text) : body.result[0].text;
+    }
+
+    /**
+     * Creates a common key for encrypted texts: AES-128-CBC key and IV, which the TV gets as encKey,
+     * encrypted with its public key (RSA, PKCS#1 padding).
+     * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/encryption/v1_0/getPublicKey/
+     * @returns {Promise<{encKey: string, encrypt: (text: string) => string, decrypt: (text: string) => string}>}
+     * texts are Base64 encoded
+     */
+    async _textKey() {
+        if (!this._publicKey) {
+            const body = await this._jsonRequest('encryption', 'getPublicKey');
+            if (!body.result || !body.result[0] || !body.result[0].publicKey) {
+                throw this._resultError('getPublicKey', body);
+            }
+            this._publicKey = crypto.createPublicKey({
+                key: Buffer.from(body.result[0].publicKey, 'base64'),
+                format: 'der',
+                type: 'spki',
+            });
+        }
+        const key = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(16);
+        const encKey = crypto.publicEncrypt(
+            { key: this._publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+            Buffer.concat([key, iv]),
+        );
+        return {
+            encKey: encKey.toString('base64'),
+            encrypt: text => {
+                const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+                return Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]).toString('base64');
+            },
+            decrypt: text => {
+                const decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+                return Buffer.concat([decipher.update(text, 'base64'), decipher.final()]).toString('utf8');
+            },
+        };
+    }
+
+    _jsonRequest(_serviceProtocol/*: string*/, _method/*: string*/, _params/*: string[]*/ = [], _version = "1.0", _id = 1337, _options = {}) {
+        return this._authorized(() => this.queue.add(async () => {
+            const response = await HttpClient.request('POST', `${this._url}/${_serviceProtocol}`, {
+                timeout: _options.timeout || METHOD_TIMEOUTS[_method] || this.timeout,
+                agent: this.agent,
+                headers: Object.assign({
+                    'Content-Type': 'application/json; charset=UTF-8'
+                }, this._authHeaders()),
                 body: JSON.stringify({
                     method: _method,
                     id: _id,
                     params: _params,
                     version: _version,
                 }),
-            }, (error, response, body) => {
-                if (!error && response.statusCode === 200) {
-                    resolve(JSON.parse(body));
-                } else {
-                    if (error) {
-                        reject(error);
-                    } else if (response.statusCode != 200) {
-                        reject(new Error(`${_method}. Response error, status code: ${response.statusCode}.`))
-                    } else if (body.error) {
-                        reject(new Error(body.error[1]));
-                    } else {
-                        reject(body);
-                    }
-                }
             });
-        });
+            if (response.statusCode !== 200) {
+                throw await this._responseError(_method, response);
+            }
+
+            let json;
+            try {
+                json = JSON.parse(response.body);
+            } catch (e) {
+                throw new BraviaError(`${_method}. Malformed response: ${response.body}`, { statusCode: response.statusCode });
+            }
+            if (!_method.startsWith('get') && json.error && TRANSIENT_SONY_ERRORS.includes(json.error[0])) {
+                const err = BraviaError.fromSonyError(_method, json.error);
+                err.transient = true;
+                throw err;
+            }
+            return json;
+        }, { idempotent: Bravia.isIdempotent(_method, _params), retries: _options.retries }));
+    }
+
+    /**
+     * @param {string} method
+     * @param {any[]} [params]
+     * @returns {boolean} whether the request may be repeated after a network error without doing anything twice
+     */
+    static isIdempotent(method, params = []) {
+        if (method === 'setAudioVolume') {
+            // '+1' and '-1' change the volume relative to the current one
+            return !/^[+-]/.test(String(params[0] && params[0].volume));
+        }
+        return method.startsWith('get') || IDEMPOTENT_METHODS.includes(method);
     }
 }
 
@@ -0,0 +1,66 @@
+'use strict';
+
+const { expect } = require('chai');
+const Bravia = require('./bravia');
+const { parse } = require('./key-sequence');
+
+describe('bravia => isIdempotent', () => {
+    it('accepts getters and absolute setters', () => {
+        expect(Bravia.isIdempotent('getVolumeInformation')).to.be.true;
+        expect(Bravia.isIdempotent('setPowerStatus', [{ status: true }])).to.be.true;
+        expect(Bravia.isIdempotent('setAudioVolume', [{ volume: '25', target: 'speaker' }])).to.be.true;
+    });
+
+    it('rejects relative volume changes', () => {
+        expect(Bravia.isIdempotent('setAudioVolume', [{ volume: '+1', target: 'speaker' }])).to.be.false;
+        expect(Bravia.isIdempotent('setAudioVolume', [{ volume: '-2', target: '' }])).to.be.false;
+    });
+
+    it('rejects unknown setters', () => {
+        expect(Bravia.isIdempotent('actRegister')).to.be.false;
+        expect(Bravia.isIdempotent('setWolMode')).to.be.false;
+    });
+});
+
+describe('bravia => send', () => {
+    const codes = [
+        { name: 'Home', value: 'AAAAAQAAAAEAAABgAw==' },
+        { name: 'PicOff', value: 'AAAAAQAAAAEAAAA+Aw==' },
+        { name: 'Teletext', value: 'AAAAAQAAAAEAAAA/Aw==' },
+    ];
+    let bravia;
+    let sent;
+
+    beforeEach(() => {
+        bravia = new Bravia('127.0.0.1');
+        bravia.delay = 0;
+        sent = [];
+        bravia.getIRCCCodes = () => Promise.resolve(codes);
+        bravia._request = (options) => {
+            sent.push(/<IRCCCode>(.*)<\/IRCCCode>/.exec(options.body)[1]);
+            return Promise.resolve('');
+        };
+    });
+
+    afterEach(() => bravia.close());
+
+    it('sends IRCC codes with + and /', async () => {
+        await bravia.send(['AAAAAQAAAAEAAAA+Aw==', 'AAAAAQAAAAEAAAA/Aw==']);
+        expect(sent).to.deep.equal(['AAAAAQAAAAEAAAA+Aw==', 'AAAAAQAAAAEAAAA/Aw==']);
+    });
+
+    it('resolves key names', async () => {
+        await bravia.send(['PicOff', 'home', 'AAAAAQAAAAEAAABgAw==']);
+        expect(sent).to.deep.equal(['AAAAAQAAAAEAAAA+Aw==', 'AAAAAQAAAAEAAABgAw==', 'AAAAAQAAAAEAAABgAw==']);
+    });
+
+    it('sends parsed key sequences with raw codes', async () => {
+        await bravia.send(parse('AAAAAQAAAAEAAAA+Aw==*2,wait:1,Teletext'));
+        expect(sent).to.deep.equal(['AAAAAQAAAAEAAAA+Aw==', 'AAAAAQAAAAEAAAA+Aw==', 'AAAAAQAAAAEAAAA/Aw==']);
+    });
+
+    it('rejects unknown key names', async () => {
+        await bravia.send(['Home', 'Unknown']).should.be.rejectedWith('Unknown IRCC code Unknown');
+        expect(sent).to.be.empty;
+    });
+});
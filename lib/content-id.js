@@ -0,0 +1,43 @@
+'use strict';
+
+const crypto = require('node:crypto');
+
+// Android apps are listed with the package and activity behind this prefix
+const APP_PREFIX = 'com.sony.dtv.';
+// Query parameters with display names, they change without the content changing
+const NAME_PARAMS = ['srvName'];
+
+/**
+ * Builds an object id segment from a content URI. It depends only on what identifies the content, not on the title:
+ * - tv:dvbc?trip=1.1051.11100&srvName=ZDF HD -> dvbc_1_1051_11100
+ * - extInput:hdmi?port=1 -> hdmi_1
+ * - com.sony.dtv.com.netflix.ninja.com.netflix.ninja.MainActivity -> com_netflix_ninja_com_netflix_ninja_mainactivity
+ * @param {string} uri
+ * @returns {string} lower case letters, digits, '-' and '_', never empty
+ */
+function fromUri(uri) {
+    const text = String(uri);
+    let parts;
+    const match = /^[a-zA-Z][\w+.-]*:(?:\/\/)?([^?#]*)(?:\?([^#]*))?/.exec(text);
+    if (match) {
+        parts = [match[1]];
+        for (const [key, value] of new URLSearchParams(match[2] || '')) {
+            if (!NAME_PARAMS.includes(key)) {
+                parts.push(value);
+            }
+        }
+    } else {
+        parts = [text.startsWith(APP_PREFIX) ? text.substring(APP_PREFIX.length) : text];
+    }
+    const id = parts
+        .join('_')
+        .toLowerCase()
+        .replace(/[^a-z0-9-]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+    // e.g. an URI of non-Latin characters only
+    return id || `content_${crypto.createHash('md5').update(text).digest('hex').substring(0, 8)}`;
+}
+
+module.exports = {
+    fromUri,
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const { expect } = require('chai');
+const { fromUri } = require('./content-id');
+
+describe('content-id => fromUri', () => {
+    it('builds the id of a channel from its triplet', () => {
+        expect(fromUri('tv:dvbc?trip=1.1051.11100&srvName=ZDF%20HD')).to.equal('dvbc_1_1051_11100');
+        expect(fromUri('tv:dvbt?trip=8468.773.16416')).to.equal('dvbt_8468_773_16416');
+    });
+
+    it('ignores the service name', () => {
+        expect(fromUri('tv:dvbc?trip=1.1051.11100&srvName=ZDF%20HD')).to.equal(
+            fromUri('tv:dvbc?trip=1.1051.11100&srvName=ZDF'),
+        );
+    });
+
+    it('builds the ids of inputs', () => {
+        expect(fromUri('extInput:hdmi?port=1')).to.equal('hdmi_1');
+        expect(fromUri('extInput:cec?type=player&port=3&logicalAddr=4')).to.equal('cec_player_3_4');
+    });
+
+    it('strips the Sony prefix of apps', () => {
+        expect(fromUri('com.sony.dtv.com.netflix.ninja.com.netflix.ninja.MainActivity')).to.equal(
+            'com_netflix_ninja_com_netflix_ninja_mainactivity',
+        );
+    });
+
+    it('falls back to a hash for URIs without Latin letters or digits', () => {
+        const id = fromUri('テレビ');
+        expect(id).to.match(/^content_[0-9a-f]{8}$/);
+        expect(fromUri('テレビ')).to.equal(id);
+        expect(fromUri('ラジオ')).to.not.equal(id);
+    });
+});
@@ -0,0 +1,474 @@
+'use strict';
+
+/**
+ * Remote control buttons that earlier versions created below every TV, replaced by remote.<KeyName>.
+ * [id relative to the TV, name]; the last id segment is the IRCC code that was sent.
+ */
+const LEGACY_IRCC_BUTTONS = [
+    ['function.AAAAAQAAAAEAAAAuAw==', 'Power on'],
+    ['channel.AAAAAQAAAAEAAAAAAw==', 'Num1'],
+    ['channel.AAAAAQAAAAEAAAABAw==', 'Num2'],
+    ['channel.AAAAAQAAAAEAAAACAw==', 'Num3'],
+    ['channel.AAAAAQAAAAEAAAADAw==', 'Num4'],
+    ['channel.AAAAAQAAAAEAAAAEAw==', 'Num5'],
+    ['channel.AAAAAQAAAAEAAAAFAw==', 'Num6'],
+    ['channel.AAAAAQAAAAEAAAAGAw==', 'Num7'],
+    ['channel.AAAAAQAAAAEAAAAHAw==', 'Num8'],
+    ['channel.AAAAAQAAAAEAAAAIAw==', 'Num9'],
+    ['channel.AAAAAQAAAAEAAAAJAw==', 'Num0'],
+    ['channel.AAAAAQAAAAEAAAAKAw==', 'Num11'],
+    ['channel.AAAAAQAAAAEAAAALAw==', 'Num12'],
+    ['others.AAAAAQAAAAEAAAALAw==', 'Enter'],
+    ['info.AAAAAQAAAAEAAAAOAw==', 'GGuide'],
+    ['channel.AAAAAQAAAAEAAAAQAw==', 'ChannelUp'],
+    ['channel.AAAAAQAAAAEAAAARAw==', 'ChannelDown'],
+    ['function.AAAAAQAAAAEAAAASAw==', 'VolumeUp'],
+    ['function.AAAAAQAAAAEAAAATAw==', 'VolumeDown'],
+    ['function.AAAAAQAAAAEAAAAUAw==', 'Mute'],
+    ['function.AAAAAQAAAAEAAAAVAw==', 'TvPower'],
+    ['others.AAAAAQAAAAEAAAAXAw==', 'Audio'],
+    ['others.AAAAAQAAAAEAAAAXAw==', 'MediaAudioTrack'],
+    ['others.AAAAAQAAAAEAAAAkAw==', 'Tv'],
+    ['source.AAAAAQAAAAEAAAAlAw==', 'Input'],
+    ['source.AAAAAQAAAAEAAAAlAw==', 'TvInput'],
+    ['source.AAAAAQAAAAEAAAAqAw==', 'TvAntennaCable'],
+    ['others.AAAAAQAAAAEAAAAuAw==', 'WakeUp'],
+    ['function.AAAAAQAAAAEAAAAvAw==', 'PowerOff'],
+    ['others.AAAAAQAAAAEAAAAvAw==', 'Sleep'],
+    ['others.AAAAAQAAAAEAAAAzAw==', 'Right'],
+    ['others.AAAAAQAAAAEAAAA0Aw==', 'Left'],
+    ['others.AAAAAQAAAAEAAAA2Aw==', 'SleepTimer'],
+    ['source.AAAAAQAAAAEAAAA4Aw==', 'Analog2'],
+    ['source.AAAAAQAAAAEAAAA4Aw==', 'TvAnalog'],
+    ['others.AAAAAQAAAAEAAAA6Aw==', 'Display'],
+    ['others.AAAAAQAAAAEAAAA7Aw==', 'Jump'],
+    ['others.AAAAAQAAAAEAAAA+Aw==', 'PicOff'],
+    ['others.AAAAAQAAAAEAAAA+Aw==', 'PictureOff'],
+    ['others.AAAAAQAAAAEAAAA/Aw==', 'Teletext'],
+    ['source.AAAAAQAAAAEAAABAAw==', 'Video1'],
+    ['source.AAAAAQAAAAEAAABBAw==', 'Video2'],
+    ['source.AAAAAQAAAAEAAABDAw==', 'AnalogRgb1'],
+    ['others.AAAAAQAAAAEAAABgAw==', 'Home'],
+    ['others.AAAAAQAAAAEAAABjAw==', 'Exit'],
+    ['others.AAAAAQAAAAEAAABkAw==', 'PictureMode'],
+    ['others.AAAAAQAAAAEAAABlAw==', 'Confirm'],
+    ['others.AAAAAQAAAAEAAAB0Aw==', 'Up'],
+    ['others.AAAAAQAAAAEAAAB1Aw==', 'Down'],
+    ['others.AAAAAgAAAKQAAAAQAw==', 'ClosedCaption'],
+    ['source.AAAAAgAAAKQAAAA2Aw==', 'Component1'],
+    ['source.AAAAAgAAAKQAAAA3Aw==', 'Component2'],
+    ['others.AAAAAgAAAKQAAAA9Aw==', 'Wide'],
+    ['others.AAAAAgAAAKQAAABbAw==', 'EPG'],
+    ['others.AAAAAgAAAKQAAAB3Aw==', 'PAP'],
+    ['others.AAAAAgAAAJcAAAAMAw==', 'TenKey'],
+    ['others.AAAAAgAAAJcAAAAQAw==', 'BSCS'],
+    ['others.AAAAAgAAAJcAAAAVAw==', 'Ddata'],
+    ['player.AAAAAgAAAJcAAAAYAw==', 'Stop'],
+    ['player.AAAAAgAAAJcAAAAZAw==', 'Pause'],
+    ['player.AAAAAgAAAJcAAAAaAw==', 'Play'],
+    ['player.AAAAAgAAAJcAAAAbAw==', 'Rewind'],
+    ['player.AAAAAgAAAJcAAAAcAw==', 'Forward'],
+    ['others.AAAAAgAAAJcAAAAdAw==', 'DOT'],
+    ['player.AAAAAgAAAJcAAAAgAw==', 'Rec'],
+    ['player.AAAAAgAAAJcAAAAjAw==', 'Return'],
+    ['function.AAAAAgAAAJcAAAAkAw==', 'Blue'],
+    ['function.AAAAAgAAAJcAAAAlAw==', 'Red'],
+    ['function.AAAAAgAAAJcAAAAmAw==', 'Green'],
+    ['function.AAAAAgAAAJcAAAAnAw==', 'Yellow'],
+    ['others.AAAAAgAAAJcAAAAoAw==', 'SubTitle'],
+    ['others.AAAAAgAAAJcAAAArAw==', 'CS'],
+    ['others.AAAAAgAAAJcAAAAsAw==', 'BS'],
+    ['others.AAAAAgAAAJcAAAAyAw==', 'Digital'],
+    ['others.AAAAAgAAAJcAAAA2Aw==', 'Options'],
+    ['others.AAAAAgAAAJcAAAA4Aw==', 'Media'],
+    ['others.AAAAAgAAAJcAAAA8Aw==', 'Prev'],
+    ['others.AAAAAgAAAJcAAAA9Aw==', 'Next'],
+    ['others.AAAAAgAAAJcAAABKAw==', 'DpadCenter'],
+    ['others.AAAAAgAAAJcAAABPAw==', 'CursorUp'],
+    ['others.AAAAAgAAAJcAAABQAw==', 'CursorDown'],
+    ['others.AAAAAgAAAJcAAABNAw==', 'CursorLeft'],
+    ['others.AAAAAgAAAJcAAABOAw==', 'CursorRight'],
+    ['others.AAAAAgAAAJcAAABqAw==', 'ShopRemoteControlForcedDynamic'],
+    ['others.AAAAAgAAAJcAAAB4Aw==', 'FlashPlus'],
+    ['others.AAAAAgAAAJcAAAB5Aw==', 'FlashMinus'],
+    ['others.AAAAAgAAAJcAAAB7Aw==', 'AudioQualityMode'],
+    ['others.AAAAAgAAAJcAAAB8Aw==', 'DemoMode'],
+    ['others.AAAAAgAAAHcAAAANAw==', 'Analog'],
+    ['others.AAAAAgAAAHcAAABNAw==', 'Mode3D'],
+    ['others.AAAAAgAAAHcAAABSAw==', 'DigitalToggle'],
+    ['others.AAAAAgAAAHcAAAB7Aw==', 'DemoSurround'],
+    ['others.AAAAAgAAABoAAAA7Aw==', '*AD'],
+    ['others.AAAAAgAAABoAAAA8Aw==', 'AudioMixUp'],
+    ['others.AAAAAgAAABoAAAA9Aw==', 'AudioMixDown'],
+    ['others.AAAAAgAAABoAAABVAw==', 'PhotoFrame'],
+    ['source.AAAAAgAAABoAAABXAw==', 'Tv_Radio'],
+    ['others.AAAAAgAAABoAAABYAw==', 'SyncMenu'],
+    ['source.AAAAAgAAABoAAABaAw==', 'Hdmi1'],
+    ['source.AAAAAgAAABoAAABbAw==', 'Hdmi2'],
+    ['source.AAAAAgAAABoAAABcAw==', 'Hdmi3'],
+    ['source.AAAAAgAAABoAAABdAw==', 'Hdmi4'],
+    ['others.AAAAAgAAABoAAABgAw==', 'TopMenu'],
+    ['others.AAAAAgAAABoAAABhAw==', 'PopUpMenu'],
+    ['others.AAAAAgAAABoAAABkAw==', 'OneTouchTimeRec'],
+    ['others.AAAAAgAAABoAAABlAw==', 'OneTouchView'],
+    ['others.AAAAAgAAABoAAABzAw==', 'DUX'],
+    ['others.AAAAAgAAABoAAAB2Aw==', 'FootballMode'],
+    ['info.AAAAAgAAABoAAAB7Aw==', 'iManual'],
+    ['others.AAAAAgAAABoAAAB8Aw==', 'Netflix'],
+    ['info.AAAAAgAAAMQAAAA7Aw==', 'Assists'],
+    ['others.AAAAAgAAAMQAAABLAw==', 'ActionMenu'],
+    ['info.AAAAAgAAAMQAAABNAw==', 'Help'],
+    ['source.AAAAAgAAAMQAAABOAw==', 'TvSatellite'],
+    ['others.AAAAAgAAAMQAAAB+Aw==', 'WirelessSubwoofer'],
+];
+
+/**
+ * States of the playing channel: [key of getPlayingContentInfo or computed value, type, role, name, unit].
+ * https://pro-bravia.sony.net/develop/integrate/rest-api/spec/service/avcontent/v1_0/getPlayingContentInfo/
+ */
+const PLAYING_STATES = [
+    ['title', 'string', 'media.title', 'Title, e.g. the channel name'],
+    ['dispNum', 'string', 'media.channel', 'Channel number as displayed'],
+    ['originalDispNum', 'string', 'text', 'Original channel number'],
+    ['tripletStr', 'string', 'text', 'DVB triplet (network, transport stream, service id)'],
+    ['programTitle', 'string', 'media.title', 'Programme title'],
+    ['programMediaType', 'string', 'text', 'Media type of the programme, e.g. tv or radio'],
+    ['mediaType', 'string', 'text', 'Media type'],
+    ['startDateTime', 'string', 'text', 'Start of the programme as reported by the TV'],
+    ['startTime', 'number', 'date.start', 'Start of the programme'],
+    ['endTime', 'number', 'date.end', 'End of the programme'],
+    ['durationSec', 'number', 'media.duration', 'Duration of the programme', 's'],
+    ['elapsedSec', 'number', 'media.elapsed', 'Elapsed time of the programme', 's'],
+    ['remainingSec', 'number', 'value', 'Remaining time of the programme', 's'],
+    ['progress', 'number', 'value', 'Progress of the programme', '%'],
+];
+
+/**
+ * Objects created below every configured TV. Ids are relative to the TV device object.
+ */
+const DEVICE_OBJECTS = [
+    { _id: 'info', type: 'channel', common: { name: 'Information' }, native: {} },
+    { _id: 'audio', type: 'folder', common: { name: 'Audio' }, native: {} },
+    { _id: 'audio.volume', type: 'channel', common: { name: 'Volumes' }, native: {} },
+    { _id: 'audio.settings', type: 'channel', common: { name: 'Sound and speaker settings' }, native: {} },
+    { _id: 'appControl', type: 'folder', common: { name: 'App Control' }, native: {} },
+    { _id: 'appControl.app', type: 'channel', common: { name: 'Applications' }, native: {} },
+    {
+        _id: 'appControl.terminateApps',
+        type: 'state',
+        common: { name: 'Terminate Applications', role: 'button', type: 'boolean', read: false, write: true },
+        native: {},
+    },
+    {
+        _id: 'appControl.textInput',
+        type: 'state',
+        common: {
+            name: 'Text for the focused text field, e.g. a search',
+            role: 'text',
+            type: 'string',
+            read: true,
+            write: true,
+        },
+        native: {},
+    },
+    {
+        _id: 'appControl.openUrl',
+        type: 'state',
+        common: {
+            name: 'URL to open in the web browser of the TV, app URI or {"uri": "...", "data": "<deep link>"}',
+            role: 'text.url',
+            type: 'string',
+            read: true,
+            write: true,
+        },
+        native: {},
+    },
+    {
+        _id: 'appControl.openUrlResult',
+        type: 'state',
+        common: {
+            name: 'Result of the last openUrl, ok or the error',
+            role: 'text',
+            type: 'string',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'appControl.textFieldFocused',
+        type: 'state',
+        common: { name: 'A text field has the focus', role: 'indicator', type: 'boolean', read: true, write: false },
+        native: {},
+    },
+    { _id: 'avContent', type: 'folder', common: { name: 'AV Content' }, native: {} },
+    { _id: 'avContent.tv', type: 'channel', common: { name: 'TV' }, native: {} },
+    { _id: 'avContent.extInput', type: 'channel', common: { name: 'External Input' }, native: {} },
+    { _id: 'avContent.favorites', type: 'channel', common: { name: 'Favorite lists' }, native: {} },
+    {
+        _id: 'avContent.channelNumber',
+        type: 'state',
+        common: { name: 'Channel number', type: 'number', role: 'level', read: true, write: true, min: 0 },
+        native: {},
+    },
+    {
+        _id: 'avContent.channelUp',
+        type: 'state',
+        common: { name: 'Next channel', type: 'boolean', role: 'button.next', read: false, write: true },
+        native: {},
+    },
+    {
+        _id: 'avContent.channelDown',
+        type: 'state',
+        common: { name: 'Previous channel', type: 'boolean', role: 'button.prev', read: false, write: true },
+        native: {},
+    },
+    { _id: 'remote', type: 'channel', common: { name: 'Remote control keys of the TV' }, native: {} },
+    { _id: 'macros', type: 'channel', common: { name: 'Key sequences of the adapter settings' }, native: {} },
+    {
+        _id: 'remote.sequence',
+        type: 'state',
+        common: {
+            role: 'text',
+            name: 'Key sequence to send, e.g. Home,Down*3,Confirm,wait:2000,Netflix',
+            type: 'string',
+            read: true,
+            write: true,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.connection',
+        type: 'state',
+        common: { role: 'indicator.reachable', name: 'If connected to TV', type: 'boolean', read: true, write: false },
+        native: {},
+    },
+    {
+        _id: 'info.rtt',
+        type: 'state',
+        common: {
+            role: 'value',
+            name: 'Round-trip time of the reachability check',
+            type: 'number',
+            unit: 'ms',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.capabilities',
+        type: 'state',
+        common: {
+            role: 'json',
+            name: 'Supported REST API methods and versions by service',
+            type: 'string',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.refreshContent',
+        type: 'state',
+        common: {
+            role: 'button',
+            name: 'Read inputs, channels and apps again',
+            type: 'boolean',
+            read: false,
+            write: true,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.contentSync',
+        type: 'state',
+        common: {
+            role: 'json',
+            name: 'Result of the last content synchronisation',
+            type: 'string',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.lastError',
+        type: 'state',
+        common: { role: 'text', name: 'Last error of a request to the TV', type: 'string', read: true, write: false },
+        native: {},
+    },
+    {
+        _id: 'info.lastErrorCode',
+        type: 'state',
+        common: {
+            role: 'value',
+            name: 'Sony or HTTP code of the last error',
+            type: 'number',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.powerStatusActive',
+        type: 'state',
+        common: { role: 'switch', name: 'If TV power status is acive', type: 'boolean', read: true, write: true },
+        native: {},
+    },
+    {
+        _id: 'info.ip',
+        type: 'state',
+        common: { role: 'info.ip', name: 'Current IP address of the TV', type: 'string', read: true, write: false },
+        native: {},
+    },
+    {
+        _id: 'info.udn',
+        type: 'state',
+        common: { role: 'text', name: 'Unique device name (UDN) of the TV', type: 'string', read: true, write: false },
+        native: {},
+    },
+    {
+        _id: 'info.macAddress',
+        type: 'state',
+        common: {
+            role: 'info.mac',
+            name: 'MAC address used for Wake-on-LAN',
+            type: 'string',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.modelInformation',
+        type: 'state',
+        common: { role: 'text', name: 'Model name and information', type: 'string', read: true, write: false },
+        native: {},
+    },
+    {
+        _id: 'info.playingContentInfo',
+        type: 'state',
+        common: {
+            role: 'text',
+            name: 'Title of the content to be recognized by the user',
+            type: 'string',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.playingUri',
+        type: 'state',
+        common: {
+            role: 'text.url',
+            name: 'URI of the playing content, e.g. extInput:hdmi?port=1',
+            type: 'string',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.playingSource',
+        type: 'state',
+        common: {
+            role: 'text',
+            name: 'Source of the playing content, e.g. tv:dvbt',
+            type: 'string',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    {
+        _id: 'info.playingScheme',
+        type: 'state',
+        common: {
+            role: 'text',
+            name: 'Scheme of the playing content, e.g. tv or extInput',
+            type: 'string',
+            read: true,
+            write: false,
+        },
+        native: {},
+    },
+    { _id: 'playing', type: 'channel', common: { name: 'Now playing' }, native: {} },
+    { _id: 'picture', type: 'channel', common: { name: 'Picture quality settings' }, native: {} },
+    ...PLAYING_STATES.map(([key, type, role, name, unit]) => ({
+        _id: `playing.${key}`,
+        type: 'state',
+        common: Object.assign({ role, name, type, read: true, write: false }, unit ? { unit } : {}),
+        native: {},
+    })),
+    {
+        _id: 'api',
+        type: 'channel',
+        common: { name: 'Calls any method of the REST API' },
+        native: {},
+    },
+    {
+        _id: 'api.request',
+        type: 'state',
+        common: {
+            role: 'json',
+            name: 'Request as JSON: {"service": "audio", "method": "getVolumeInformation", "version": "1.0", "params": []}',
+            type: 'string',
+            read: true,
+            write: true,
+        },
+        native: {},
+    },
+    {
+        _id: 'api.response',
+        type: 'state',
+        common: { role: 'json', name: 'Response of the last request', type: 'string', read: true, write: false },
+        native: {},
+    },
+];
+
+// Channels of the legacy remote control buttons
+const LEGACY_IRCC_CHANNELS = ['channel', 'source', 'function', 'player', 'others'];
+
+/**
+ * Object trees that are only created when the TV supports the REST method that feeds them, or one of the methods.
+ * Ids are relative to the TV device object.
+ */
+const CAPABILITY_TREES = [
+    { id: 'audio', service: 'audio', methods: ['getVolumeInformation', 'getSoundSettings', 'getSpeakerSettings'] },
+    { id: 'audio.volume', service: 'audio', method: 'getVolumeInformation' },
+    { id: 'audio.settings', service: 'audio', methods: ['getSoundSettings', 'getSpeakerSettings'] },
+    { id: 'appControl', service: 'appControl', method: 'getApplicationList' },
+    { id: 'appControl.textInput', service: 'appControl', method: 'setTextForm' },
+    { id: 'appControl.openUrl', service: 'appControl', method: 'setActiveApp' },
+    { id: 'appControl.openUrlResult', service: 'appControl', method: 'setActiveApp' },
+    { id: 'appControl.textFieldFocused', service: 'appControl', method: 'getTextForm' },
+    { id: 'avContent', service: 'avContent', method: 'getSourceList' },
+    { id: 'info.playingContentInfo', service: 'avContent', method: 'getPlayingContentInfo' },
+    { id: 'info.playingUri', service: 'avContent', method: 'getPlayingContentInfo' },
+    { id: 'info.playingSource', service: 'avContent', method: 'getPlayingContentInfo' },
+    { id: 'info.playingScheme', service: 'avContent', method: 'getPlayingContentInfo' },
+    { id: 'playing', service: 'avContent', method: 'getPlayingContentInfo' },
+    { id: 'remote', service: 'system', method: 'getRemoteControllerInfo' },
+    { id: 'picture', service: 'video', method: 'getPictureQualitySettings' },
+];
+
+/**
+ * Channels with a state per setting the TV reports, polled while the TV is on.
+ * get and set are methods of the Bravia class. A channel may combine the settings of several methods.
+ */
+const SETTING_CHANNELS = [
+    { id: 'audio.settings', service: 'audio', get: 'getSoundSettings', set: 'setSoundSettings' },
+    { id: 'audio.settings', service: 'audio', get: 'getSpeakerSettings', set: 'setSpeakerSettings' },
+    { id: 'picture', service: 'video', get: 'getPictureQualitySettings', set: 'setPictureQualitySettings' },
+];
+
+module.exports = {
+    DEVICE_OBJECTS,
+    CAPABILITY_TREES,
+    SETTING_CHANNELS,
+    PLAYING_STATES,
+    LEGACY_IRCC_BUTTONS,
+    LEGACY_IRCC_CHANNELS,
+};
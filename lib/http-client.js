@@ -0,0 +1,86 @@
+'use strict';
+
+const http = require('node:http');
+const BraviaError = require('./bravia-error');
+
+// Errors of a connection the other side closed
+const RESET_ERROR_CODES = ['ECONNRESET', 'EPIPE'];
+
+/**
+ * @typedef {object} HttpResponse
+ * @property {number} statusCode
+ * @property {import('node:http').IncomingHttpHeaders} headers
+ * @property {string} body
+ */
+
+/**
+ * Sends a HTTP request and collects the response body. Network errors and timeouts reject with a BraviaError
+ * that has the network error as cause (timeouts with cause.code ETIMEDOUT); HTTP errors resolve.
+ * The error is marked undelivered when the TV had closed the reused keep-alive connection before it read the request.
+ * @param {string} method e.g. 'GET' or 'POST'
+ * @param {string} url
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.headers]
+ * @param {string} [options.body]
+ * @param {number} [options.timeout] for the whole request including the response body, in ms
+ * @param {http.Agent} [options.agent] e.g. a keep-alive agent
+ * @returns {Promise<HttpResponse>}
+ */
+function request(method, url, options = {}) {
+    return new Promise((resolve, reject) => {
+        const timeout = options.timeout || 5000;
+        const headers = Object.assign({}, options.headers);
+        if (options.body !== undefined) {
+            headers['Content-Length'] = String(Buffer.byteLength(options.body));
+        }
+
+        const abortController = new AbortController();
+        const timer = setTimeout(() => abortController.abort(), timeout);
+        let settled = false;
+        let responded = false;
+        const fail = (err) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            if (abortController.signal.aborted) {
+                const cause = Object.assign(new Error(`Timeout after ${timeout} ms`), { code: 'ETIMEDOUT' });
+                reject(new BraviaError(`${method} ${url} timed out after ${timeout} ms`, { cause }));
+            } else {
+                const error = new BraviaError(`${method} ${url} failed: ${err.message}`, { cause: err });
+                error.undelivered = !responded && req.reusedSocket && RESET_ERROR_CODES.includes(err.code);
+                reject(error);
+            }
+        };
+
+        const req = http.request(
+            url,
+            { method, headers, agent: options.agent, signal: abortController.signal },
+            (res) => {
+                responded = true;
+                const chunks = [];
+                res.on('data', (chunk) => chunks.push(chunk));
+                res.on('error', fail);
+                res.on('end', () => {
+                    if (settled) {
+                        return;
+                    }
+                    settled = true;
+                    clearTimeout(timer);
+                    resolve({
+                        statusCode: res.statusCode || 0,
+                        headers: res.headers,
+                        body: Buffer.concat(chunks).toString('utf8'),
+                    });
+                });
+            },
+        );
+        req.on('error', fail);
+        req.end(options.body);
+    });
+}
+
+module.exports = {
+    request,
+};
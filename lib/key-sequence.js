@@ -0,0 +1,47 @@
+'use strict';
+
+// Limits that keep a typo from blocking the request queue of a TV for long
+const MAX_REPEAT = 50;
+const MAX_WAIT = 60000;
+
+/**
+ * Parses a key sequence like 'Home,Down*3,Confirm,wait:2000,Netflix'.
+ * Steps are separated by commas, semicolons or line breaks. A step is a key name or a raw IRCC code,
+ * optionally followed by *<count>, or wait:<ms>.
+ * @param {string} text
+ * @returns {(string|{wait: number})[]} key names, IRCC codes and waits in the order to send them
+ */
+function parse(text) {
+    const steps = [];
+    for (const token of String(text).split(/[,;\n]/)) {
+        const step = token.trim();
+        if (!step) {
+            continue;
+        }
+        const wait = /^wait\s*:\s*(\d+)$/i.exec(step);
+        if (wait) {
+            const ms = parseInt(wait[1], 10);
+            if (ms > MAX_WAIT) {
+                throw new Error(`Wait of ${ms} ms in "${step}" is longer than ${MAX_WAIT} ms`);
+            }
+            steps.push({ wait: ms });
+            continue;
+        }
+        const key = /^([^*\s]+)\s*(?:\*\s*(\d+))?$/.exec(step);
+        if (!key) {
+            throw new Error(`Invalid step "${step}", expected a key name, a key with *<count> or wait:<ms>`);
+        }
+        const count = key[2] === undefined ? 1 : parseInt(key[2], 10);
+        if (count < 1 || count > MAX_REPEAT) {
+            throw new Error(`Repeat count of "${step}" has to be between 1 and ${MAX_REPEAT}`);
+        }
+        for (let i = 0; i < count; i++) {
+            steps.push(key[1]);
+        }
+    }
+    return steps;
+}
+
+module.exports = {
+    parse,
+};
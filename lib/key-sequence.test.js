@@ -0,0 +1,49 @@
+'use strict';
+
+const { expect } = require('chai');
+const { parse } = require('./key-sequence');
+
+describe('key-sequence => parse', () => {
+    it('splits the steps at commas, semicolons and line breaks', () => {
+        expect(parse('Home, Down;Confirm\nNetflix')).to.deep.equal(['Home', 'Down', 'Confirm', 'Netflix']);
+    });
+
+    it('ignores empty steps', () => {
+        expect(parse(' Home,,\n, Confirm ,')).to.deep.equal(['Home', 'Confirm']);
+    });
+
+    it('repeats keys with a count', () => {
+        expect(parse('Down*3,Confirm')).to.deep.equal(['Down', 'Down', 'Down', 'Confirm']);
+        expect(parse('Down * 2')).to.deep.equal(['Down', 'Down']);
+        expect(parse('Down*50')).to.have.lengthOf(50);
+    });
+
+    it('keeps raw IRCC codes', () => {
+        expect(parse('AAAAAQAAAAEAAAAVAw==*2')).to.deep.equal(['AAAAAQAAAAEAAAAVAw==', 'AAAAAQAAAAEAAAAVAw==']);
+        expect(parse('AAAAAQAAAAEAAAA+Aw==*2,AAAAAQAAAAEAAAA/Aw==')).to.deep.equal([
+            'AAAAAQAAAAEAAAA+Aw==',
+            'AAAAAQAAAAEAAAA+Aw==',
+            'AAAAAQAAAAEAAAA/Aw==',
+        ]);
+    });
+
+    it('parses waits', () => {
+        expect(parse('Home,wait:2000,WAIT : 500')).to.deep.equal(['Home', { wait: 2000 }, { wait: 500 }]);
+        expect(parse('wait:60000')).to.deep.equal([{ wait: 60000 }]);
+    });
+
+    it('rejects repeat counts outside 1..50', () => {
+        expect(() => parse('Down*0')).to.throw('between 1 and 50');
+        expect(() => parse('Down*51')).to.throw('between 1 and 50');
+    });
+
+    it('rejects waits longer than a minute', () => {
+        expect(() => parse('wait:60001')).to.throw('longer than 60000 ms');
+    });
+
+    it('rejects invalid steps', () => {
+        expect(() => parse('Home,Volume Up')).to.throw('Invalid step "Volume Up"');
+        expect(() => parse('Down*x')).to.throw('Invalid step "Down*x"');
+        expect(() => parse('Down*3*2')).to.throw('Invalid step "Down*3*2"');
+    });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const net = require('node:net');
+const ping = require('./ping');
+
+/**
+ * Available ways to check whether a TV is reachable:
+ * - tcp: connect to the REST port of the TV
+ * - rest: call system.getPowerStatus
+ * - icmp: spawn the system ping binary (needs ping and CAP_NET_RAW)
+ */
+const METHODS = ['tcp', 'rest', 'icmp'];
+const DEFAULT_METHOD = 'tcp';
+
+/**
+ * @typedef {object} ProbeResult
+ * @property {boolean} alive whether the TV answered
+ * @property {number|null} ms round-trip time
+ * @property {any} [powerStatus] response of getPowerStatus (rest probe only)
+ */
+
+/**
+ * @param {string} host
+ * @param {number|string} port
+ * @param {number} timeout in ms
+ * @returns {Promise<ProbeResult>}
+ */
+function probeTcp(host, port, timeout) {
+    return new Promise((resolve) => {
+        const start = process.hrtime.bigint();
+        const socket = net.connect({ host: host, port: parseInt(port, 10) });
+        const done = (alive) => {
+            socket.destroy();
+            resolve({ alive: alive, ms: alive ? Number(process.hrtime.bigint() - start) / 1e6 : null });
+        };
+        socket.setTimeout(timeout);
+        socket.once('connect', () => done(true));
+        socket.once('timeout', () => done(false));
+        socket.once('error', () => done(false));
+    });
+}
+
+/**
+ * @param {import('./bravia')} controller
+ * @returns {Promise<ProbeResult>}
+ */
+function probeRest(controller) {
+    const start = process.hrtime.bigint();
+    const ms = () => Number(process.hrtime.bigint() - start) / 1e6;
+    return controller.getPowerStatus().then(
+        (powerStatus) => ({ alive: true, ms: ms(), powerStatus: powerStatus }),
+        // the TV answered, but not with a power status (e.g. authentication failed)
+        (err) => (err && err.statusCode ? { alive: true, ms: ms() } : { alive: false, ms: null }),
+    );
+}
+
+/**
+ * @param {string} host
+ * @param {number} timeout in ms
+ * @returns {Promise<ProbeResult>}
+ */
+function probeIcmp(host, timeout) {
+    return new Promise((resolve, reject) => {
+        ping.probe(host, { log: () => {}, timeout: Math.max(Math.round(timeout / 1000), 1) }, (err, result) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve({ alive: !!result.alive, ms: result.ms ? parseFloat(result.ms) : null });
+            }
+        });
+    });
+}
+
+/**
+ * Checks whether a TV is reachable.
+ * @param {string} method one of METHODS
+ * @param {{host: string, port: number|string, controller: import('./bravia'), timeout?: number}} options
+ * @returns {Promise<ProbeResult>}
+ */
+function probe(method, options) {
+    const timeout = options.timeout || 2000;
+    switch (method) {
+        case 'rest':
+            return probeRest(options.controller);
+        case 'icmp':
+            return probeIcmp(options.host, timeout);
+        case 'tcp':
+            return probeTcp(options.host, options.port, timeout);
+        default:
+            return Promise.reject(new Error(`Unknown reachability check ${method}`));
+    }
+}
+
+module.exports = {
+    METHODS,
+    DEFAULT_METHOD,
+    probe,
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+// Network errors worth another attempt. Refused connections are not retried, the TV is off then.
+const TRANSIENT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN'];
+
+/**
+ * Runs requests to one TV with limited concurrency and retries transient failures with backoff.
+ * Requests that must not run twice, e.g. a key press, are only retried when the TV certainly did not execute them.
+ */
+class RequestQueue {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.concurrency] requests running at the same time
+     * @param {number} [options.retries] additional attempts for transient failures
+     * @param {number} [options.retryDelay] delay before the first retry in ms, doubled for every further retry
+     */
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || 1;
+        this.retries = options.retries === undefined ? 2 : options.retries;
+        this.retryDelay = options.retryDelay || 500;
+        this._running = 0;
+        this._pending = [];
+    }
+
+    /**
+     * @param {any} error
+     * @returns {boolean} whether the request may succeed when it is repeated
+     */
+    static isTransient(error) {
+        if (!error) {
+            return false;
+        }
+        if (error.transient) {
+            return true;
+        }
+        const code = error.cause ? error.cause.code : error.code;
+        if (code && TRANSIENT_ERROR_CODES.includes(code)) {
+            return true;
+        }
+        // a server error with a Sony or UPnP error code is an answer, not a hiccup
+        return !!error.statusCode && error.statusCode >= 500 && code === undefined;
+    }
+
+    /**
+     * @param {any} error
+     * @returns {boolean} whether the TV certainly did not execute the request, so even a key press may be repeated
+     */
+    static isNotExecuted(error) {
+        // transient errors with an answer of the TV, e.g. display off, and requests the TV never read
+        return !!error && (!!error.transient || !!error.undelivered);
+    }
+
+    /**
+     * Queues a request.
+     * @template T
+     * @param {() => Promise<T>} task starts the request
+     * @param {object} [options]
+     * @param {boolean} [options.idempotent] false for requests that change something every time they run
+     * @param {number} [options.retries] overrides the retries of the queue for this request
+     * @returns {Promise<T>}
+     */
+    add(task, options = {}) {
+        return new Promise((resolve, reject) => {
+            const retries = options.retries === undefined ? this.retries : options.retries;
+            this._pending.push({ task, idempotent: options.idempotent !== false, retries, resolve, reject });
+            this._next();
+        });
+    }
+
+    _next() {
+        if (this._running >= this.concurrency || !this._pending.length) {
+            return;
+        }
+        const job = this._pending.shift();
+        this._running++;
+        this._run(job, 0)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                this._running--;
+                this._next();
+            });
+    }
+
+    async _run(job, attempt) {
+        try {
+            return await job.task();
+        } catch (error) {
+            const retry = job.idempotent ? RequestQueue.isTransient(error) : RequestQueue.isNotExecuted(error);
+            if (attempt >= job.retries || !retry) {
+                throw error;
+            }
+            await new Promise((resolve) => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+            return this._run(job, attempt + 1);
+        }
+    }
+}
+
+module.exports = RequestQueue;
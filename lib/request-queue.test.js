@@ -0,0 +1,106 @@
+'use strict';
+
+const { expect } = require('chai');
+const BraviaError = require('./bravia-error');
+const RequestQueue = require('./request-queue');
+
+const networkError = (code) =>
+    new BraviaError(`POST failed: ${code}`, { cause: Object.assign(new Error(code), { code }) });
+
+/**
+ * @param {any[]} errors thrown by the first attempts, the next attempt resolves
+ * @returns {{task: () => Promise<string>, attempts: () => number}}
+ */
+function failingTask(errors) {
+    let attempts = 0;
+    return {
+        task: async () => {
+            const error = errors[attempts++];
+            if (error) {
+                throw error;
+            }
+            return 'done';
+        },
+        attempts: () => attempts,
+    };
+}
+
+describe('request-queue => isTransient', () => {
+    it('accepts timeouts and broken connections', () => {
+        for (const code of ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN']) {
+            expect(RequestQueue.isTransient(networkError(code)), code).to.be.true;
+        }
+    });
+
+    it('rejects refused connections', () => {
+        expect(RequestQueue.isTransient(networkError('ECONNREFUSED'))).to.be.false;
+        expect(RequestQueue.isTransient(networkError('EHOSTUNREACH'))).to.be.false;
+    });
+
+    it('accepts server errors without a Sony or UPnP error code', () => {
+        expect(RequestQueue.isTransient(new BraviaError('error', { statusCode: 500 }))).to.be.true;
+        expect(RequestQueue.isTransient(new BraviaError('error', { statusCode: 500, code: 12 }))).to.be.false;
+        expect(RequestQueue.isTransient(new BraviaError('error', { statusCode: 404 }))).to.be.false;
+    });
+
+    it('accepts errors marked transient', () => {
+        const error = BraviaError.fromSonyError('setPlayContent', [40005, 'Display Is Turned off']);
+        expect(RequestQueue.isTransient(error)).to.be.false;
+        error.transient = true;
+        expect(RequestQueue.isTransient(error)).to.be.true;
+    });
+});
+
+describe('request-queue => isNotExecuted', () => {
+    it('accepts errors marked transient or undelivered', () => {
+        expect(RequestQueue.isNotExecuted(Object.assign(networkError('ECONNRESET'), { undelivered: true }))).to.be.true;
+        expect(RequestQueue.isNotExecuted(Object.assign(new BraviaError('error'), { transient: true }))).to.be.true;
+    });
+
+    it('rejects errors after which the TV may have executed the request', () => {
+        expect(RequestQueue.isNotExecuted(networkError('ECONNRESET'))).to.be.false;
+        expect(RequestQueue.isNotExecuted(networkError('ETIMEDOUT'))).to.be.false;
+        expect(RequestQueue.isNotExecuted(null)).to.be.false;
+    });
+});
+
+describe('request-queue => add', () => {
+    const queue = new RequestQueue({ retryDelay: 1 });
+
+    it('retries idempotent requests after transient errors', async () => {
+        const { task, attempts } = failingTask([networkError('ETIMEDOUT'), networkError('ECONNRESET')]);
+        expect(await queue.add(task)).to.equal('done');
+        expect(attempts()).to.equal(3);
+    });
+
+    it('gives up after the configured retries', async () => {
+        const { task, attempts } = failingTask([1, 2, 3].map(() => networkError('ETIMEDOUT')));
+        await queue.add(task).should.be.rejectedWith('ETIMEDOUT');
+        expect(attempts()).to.equal(3);
+    });
+
+    it('does not retry other errors', async () => {
+        const { task, attempts } = failingTask([networkError('ECONNREFUSED')]);
+        await queue.add(task).should.be.rejectedWith('ECONNREFUSED');
+        expect(attempts()).to.equal(1);
+    });
+
+    it('does not retry other requests after transient errors', async () => {
+        const { task, attempts } = failingTask([networkError('ETIMEDOUT')]);
+        await queue.add(task, { idempotent: false }).should.be.rejectedWith('ETIMEDOUT');
+        expect(attempts()).to.equal(1);
+    });
+
+    it('retries other requests the TV did not execute', async () => {
+        const undelivered = Object.assign(networkError('ECONNRESET'), { undelivered: true });
+        const { task, attempts } = failingTask([undelivered]);
+        expect(await queue.add(task, { idempotent: false })).to.equal('done');
+        expect(attempts()).to.equal(2);
+    });
+
+    it('uses the retries of the request', async () => {
+        const { task, attempts } = failingTask([networkError('ETIMEDOUT')]);
+        await queue.add(task, { retries: 0 }).should.be.rejectedWith('ETIMEDOUT');
+        expect(attempts()).to.equal(1);
+    });
+});
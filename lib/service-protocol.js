@@ -1,5 +1,7 @@
 'use strict';
 
+const BraviaError = require('./bravia-error');
+
 class ServiceProtocol {
     constructor(bravia, protocol) {
         this.bravia = bravia;
@@ -45,20 +47,23 @@ class ServiceProtocol {
         });
     }
 
+    /**
+     * Calls a method of this service and returns the JSON-RPC response as it is, including errors.
+     * @param {string} method e.g. 'getVolumeInformation'
+     * @param {string} [version] API version of the method
+     * @param {any[]} [params] JSON-RPC params
+     * @returns {Promise<{result?: any[], results?: any[], error?: [number, string], id: number}>}
+     */
+    call(method, version = '1.0', params = []) {
+        return this.bravia._jsonRequest(this.protocol, method, params, version, 3);
+    }
+
     invoke(method, version = '1.0', params) {
         return new Promise((resolve, reject) => {
             params = params ? [params] : [];
-            this.bravia._request({
-                path: `/${this.protocol}`,
-                json: {
-                    id: 3,
-                    method: method,
-                    version: version,
-                    params: params
-                }
-            }).then(response => {
+            this.call(method, version, params).then(response => {
                 if (response.error) {
-                    reject(new Error(response.error[1]));
+                    reject(BraviaError.fromSonyError(`${this.protocol}.${method}`, response.error));
                     return;
                 }
 
@@ -0,0 +1,1812 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const Controller = require('./bravia');
+const BraviaError = require('./bravia-error');
+const reachability = require('./reachability');
+const {
+    DEVICE_OBJECTS,
+    CAPABILITY_TREES,
+    SETTING_CHANNELS,
+    LEGACY_IRCC_BUTTONS,
+    LEGACY_IRCC_CHANNELS,
+    PLAYING_STATES,
+} = require('./device-objects');
+const wol = require('./wol');
+const keySequence = require('./key-sequence');
+const contentId = require('./content-id');
+
+// Polling intervals in s when nothing is configured
+const POLL_INTERVAL_ON = 10;
+const POLL_INTERVAL_STANDBY = 30;
+// Unreachable TVs are polled less often, up to this interval
+const POLL_INTERVAL_MAX = 5 * 60 * 1000;
+// Checks in short distance after a command to show its result quickly
+const POLL_BURST_COUNT = 3;
+const POLL_BURST_INTERVAL = 1000;
+// Failed checks in a row before the TV is searched at another address
+const REDISCOVER_AFTER_FAILURES = 3;
+const REDISCOVER_INTERVAL = 5 * 60 * 1000;
+const DISCOVER_TIMEOUT = 5000;
+// Renew the auth cookie of a PIN registration when it expires within this time
+const AUTH_RENEW_BEFORE = 24 * 60 * 60 * 1000;
+const AUTH_RENEW_RETRY = 60 * 60 * 1000;
+// Items read per content list (e.g. TV channels of one source) when nothing is configured
+const MAX_CONTENT_ITEMS = 1000;
+// Favourite lists probed per broadcast source, Bravia TVs have four
+const MAX_FAVORITE_LISTS = 4;
+// Hour of the daily content resync
+const CONTENT_SYNC_HOUR = 4;
+// Large content lists are created a batch at a time to not flood the objects DB
+const OBJECT_BATCH_SIZE = 50;
+const OBJECT_BATCH_DELAY = 200;
+// Volume change of volumeUp/volumeDown when nothing is configured
+const VOLUME_STEP = 1;
+const WOL_RETRIES = 5;
+const WOL_RETRY_DELAY = 3000;
+// Timeout of setPowerStatus after a Wake-on-LAN packet, in ms; the next packet follows instead of a queue retry
+const WOL_PROBE_TIMEOUT = 2000;
+
+let runningDiscovery = null;
+
+/**
+ * Runs one SSDP search that is shared by all TVs asking at the same time.
+ * @param {{debug: (message: string) => void}} log logs the devices skipped by the search
+ * @returns {Promise<{host: string, port: number, friendlyName: string, modelName: string, UDN: string}[]>}
+ */
+function discover(log) {
+    if (!runningDiscovery) {
+        runningDiscovery = Controller.discover(DISCOVER_TIMEOUT, (err) =>
+            log.debug(`Discovery: ${err.message}`),
+        ).finally(() => (runningDiscovery = null));
+    }
+    return runningDiscovery;
+}
+
+/**
+ * @param {ioBroker.Adapter} adapter
+ * @param {string} name e.g. a TV or key name
+ * @returns {string} name usable as one segment of an object id
+ */
+const toIdSegment = (adapter, name) =>
+    String(name)
+        .trim()
+        .replace(adapter.FORBIDDEN_CHARS, '_')
+        .replace(/[.\s]+/g, '_');
+
+/**
+ * @typedef {object} ContentTree objects of one content list, e.g. avContent.tv
+ * @property {string} id
+ * @property {boolean} complete whether all lists of the tree were read, only complete trees are cleaned up
+ * @property {string} [selection] id of the Selection state of the tree
+ */
+
+/**
+ * Computes start, end and progress of the playing programme.
+ * @param {{startDateTime?: string, durationSec?: number}} content response of getPlayingContentInfo
+ * @param {number} now ms since epoch
+ * @returns {{startTime: number, endTime: number, elapsedSec: number, remainingSec: number, progress: number}|null}
+ * null without programme information
+ */
+function programProgress(content, now) {
+    // the TV reports e.g. 2014-08-27T18:45:00+0900
+    const start = Date.parse(String(content.startDateTime || '').replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+    const duration = Number(content.durationSec) * 1000;
+    if (isNaN(start) || !(duration > 0)) {
+        return null;
+    }
+    const elapsed = Math.min(Math.max(now - start, 0), duration);
+    return {
+        startTime: start,
+        endTime: start + duration,
+        elapsedSec: Math.round(elapsed / 1000),
+        remainingSec: Math.round((duration - elapsed) / 1000),
+        progress: Math.round((elapsed / duration) * 1000) / 10,
+    };
+}
+
+const toSnakeCase = (str) =>
+    str &&
+    str
+        .match(/[A-Z]{2,}(?=[A-Z][a-z]+[0-9]*|\b)|[A-Z]?[a-z]+[0-9]*|[A-Z]+|[0-9]+/g)
+        .map((x) => x.toLowerCase())
+        .join('_');
+
+/**
+ * One configured TV: owns its Bravia controller, its object subtree and its polling loop.
+ */
+class TvDevice {
+    /**
+     * @param {ioBroker.Adapter} adapter
+     * @param {{name?: string, ip: string, psk: string, udn?: string, auth?: 'psk'|'pin', mac?: string}} config
+     * @param {(device: TvDevice) => void} [onConnectionChange] called whenever the reachability changes
+     * @param {{legacyRoot?: boolean}} [options] legacyRoot: the TV takes over the objects of the single TV layout
+     */
+    constructor(adapter, config, onConnectionChange, options = {}) {
+        this.adapter = adapter;
+        this.config = config;
+        this.legacyRoot = !!options.legacyRoot;
+        this.name = config.name || config.ip;
+        this.id = toIdSegment(adapter, this.name);
+        this.onConnectionChange = onConnectionChange;
+        this.isConnected = null;
+        this.pollTimeout = null;
+        this.polling = false;
+        this.burstRemaining = 0;
+        this.isPowerActive = false;
+        this.lastMessages = {};
+        this.stopped = false;
+        this.ip = config.ip;
+        this.udn = config.udn || null;
+        this.failedChecks = 0;
+        this.authFailed = false;
+        this.lastDiscovery = 0;
+        this.authMode = config.auth === 'pin' ? 'pin' : 'psk';
+        this.lastAuthRenewal = 0;
+        this.mac = config.mac || null;
+        this.macRequested = false;
+        // supported methods by service, null while unknown (everything is assumed to be supported then)
+        this.capabilities = null;
+        this.capabilitiesRequested = false;
+        // Selection values of the avContent schemes, read from the objects when needed
+        this.selections = null;
+        this.runningSync = null;
+        // channels by list URI (e.g. tv:dvbc or tv:dvbc?fav=1) and favourite lists by state id, read by the content sync
+        this.channelLists = {};
+        this.favorites = {};
+        // list channelUp/channelDown step through, null for the list of the playing source
+        this.channelList = null;
+        this.playingUri = '';
+        this.playingSource = '';
+        // volume range by target, the volume objects are adapted when it changes
+        this.volumeRanges = {};
+        // common of the setting states by id, the objects are adapted when it changes
+        this.settingObjects = {};
+        this.contentSyncTimeout = null;
+        this.contentSyncDue = false;
+
+        this.controller = new Controller(config.ip, '80', config.psk, 5000);
+        const concurrency = parseInt(adapter.config.requestConcurrency, 10);
+        const retries = parseInt(adapter.config.requestRetries, 10);
+        this.controller.queue.concurrency = concurrency > 0 ? concurrency : 1;
+        this.controller.queue.retries = retries >= 0 ? retries : this.controller.queue.retries;
+        this.controller.onAuthCookie = (cookie, expires) => {
+            this.log.info('Registered at the TV, auth cookie renewed');
+            this.adapter
+                .extendObjectAsync(this.id, { native: { authCookie: cookie, authExpires: expires } })
+                .catch((err) => this.log.error(err));
+        };
+
+        const prefix = (message) => `${this.id}: ${message}`;
+        this.log = {
+            debug: (message) => adapter.log.debug(prefix(message)),
+            info: (message) => adapter.log.info(prefix(message)),
+            warn: (message) => adapter.log.warn(prefix(message)),
+            error: (message) => adapter.log.error(prefix(message)),
+        };
+    }
+
+    /**
+     * Builds the full object id (without namespace) of an object below this TV.
+     * @param {string} id id relative to the TV
+     * @returns {string}
+     */
+    objectId(id) {
+        return `${this.id}.${id}`;
+    }
+
+    async start() {
+        await this.createObjects();
+        await this.adapter.setStateAsync(this.objectId('info.ip'), { val: this.ip, ack: true });
+        await this.adapter.setStateAsync(this.objectId('info.udn'), { val: this.udn || '', ack: true });
+        await this.adapter.setStateAsync(this.objectId('info.macAddress'), { val: this.mac || '', ack: true });
+
+        this.poll();
+
+        this.controller
+            .getInterfaceInformation()
+            .then((model) => {
+                this.adapter.setState(this.objectId('info.modelInformation'), { val: model, ack: true });
+            })
+            .catch((err) => {
+                this.log.error(err);
+            });
+
+        // the lists of a TV in standby may be empty
+        this.contentSyncDue = true;
+        this.scheduleContentSync();
+    }
+
+    /**
+     * Marks the content for a resync at the next CONTENT_SYNC_HOUR if the daily resync is enabled.
+     * The resync runs with the next check that finds the TV on.
+     */
+    scheduleContentSync() {
+        if (!this.adapter.config.contentSyncDaily || this.stopped) {
+            return;
+        }
+        const next = new Date();
+        next.setHours(CONTENT_SYNC_HOUR, 0, 0, 0);
+        if (next.getTime() <= Date.now()) {
+            next.setDate(next.getDate() + 1);
+        }
+        this.contentSyncTimeout = setTimeout(() => {
+            this.contentSyncDue = true;
+            this.scheduleContentSync();
+        }, next.getTime() - Date.now());
+    }
+
+    /**
+     * @param {string} service e.g. 'audio'
+     * @param {string} [method] e.g. 'getVolumeInformation'
+     * @returns {boolean} whether the TV supports the service or method, true while the capabilities are unknown
+     */
+    supports(service, method) {
+        if (!this.capabilities) {
+            return true;
+        }
+        const methods = this.capabilities[service];
+        return !!methods && (!method || !!methods[method]);
+    }
+
+    /**
+     * @param {string} id object id relative to the TV
+     * @returns {boolean} whether the object belongs to a tree the TV supports
+     */
+    isObjectSupported(id) {
+        return CAPABILITY_TREES.every(
+            (tree) => !(id === tree.id || id.startsWith(`${tree.id}.`)) || this.supportsTree(tree),
+        );
+    }
+
+    /**
+     * @param {{service: string, method?: string, methods?: string[]}} tree one of CAPABILITY_TREES
+     * @returns {boolean} whether the TV supports the method or one of the methods of the tree
+     */
+    supportsTree(tree) {
+        return (tree.methods || [tree.method]).some((method) => this.supports(tree.service, method));
+    }
+
+    /**
+     * Reads the capabilities from the TV, publishes them in info.capabilities and adapts the objects to them.
+     */
+    async loadCapabilities() {
+        const capabilities = await this.controller.getCapabilities();
+        const changed = JSON.stringify(capabilities) !== JSON.stringify(this.capabilities);
+        this.capabilities = capabilities;
+        await this.adapter.setStateAsync(this.objectId('info.capabilities'), {
+            val: JSON.stringify(capabilities),
+            ack: true,
+        });
+        if (changed) {
+            this.log.debug(`Supported services: ${Object.keys(capabilities).join(', ')}`);
+            await this.createDeviceObjects();
+            if (this.isPowerActive) {
+                this.syncContent().catch((err) => this.log.error(`Content cannot be synchronised ${err}`));
+            } else {
+                this.contentSyncDue = true;
+            }
+        }
+    }
+
+    /**
+     * Creates a remote.<KeyName> button for every IRCC code the TV reports and removes the keys it does not report.
+     */
+    async createRemoteObjects() {
+        const codes = await this.controller.getIRCCCodes();
+        if (!Array.isArray(codes)) {
+            throw new BraviaError(`Unknown remote controller info ${JSON.stringify(codes)}`);
+        }
+        /** @type {Record<string, string>} IRCC code by object id */
+        const keys = {};
+        for (const key of codes) {
+            if (!key.name || !key.value) {
+                continue;
+            }
+            const id = this.objectId(`remote.${toIdSegment(this.adapter, key.name)}`);
+            keys[id] = key.value;
+            await this.adapter.setObjectNotExistsAsync(id, {
+                type: 'state',
+                common: {
+                    // e.g. ChannelUp -> Channel Up
+                    name: key.name.replace(/([a-z0-9])([A-Z])/g, '$1 $2'),
+                    role: 'button',
+                    type: 'boolean',
+                    read: false,
+                    write: true,
+                },
+                native: { code: key.value },
+            });
+        }
+        this.log.debug(`TV has ${Object.keys(keys).length} remote control keys`);
+
+        const existing = await this.adapter.getForeignObjectsAsync(
+            `${this.adapter.namespace}.${this.objectId('remote')}.*`,
+        );
+        for (const fullId of Object.keys(existing)) {
+            const id = fullId.substring(this.adapter.namespace.length + 1);
+            if (!keys[id] && existing[fullId].native && existing[fullId].native.code) {
+                await this.adapter.delObjectAsync(id);
+            }
+        }
+        await this.migrateLegacyButtons(keys);
+    }
+
+    /**
+     * @param {any} text key sequence like 'Home,Down*3,Confirm,wait:2000,Netflix'
+     * @returns {Promise<void>}
+     */
+    sendSequence(text) {
+        let steps;
+        try {
+            steps = keySequence.parse(text);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+        this.log.debug(`Sending ${steps.map((step) => (typeof step === 'object' ? `wait:${step.wait}` : step))}`);
+        return this.controller.send(steps);
+    }
+
+    /**
+     * Creates a button below macros for every key sequence of the adapter settings and removes the others.
+     */
+    async createMacroObjects() {
+        const macros = Array.isArray(this.adapter.config.macros) ? this.adapter.config.macros : [];
+        const ids = [];
+        for (const macro of macros) {
+            if (!macro || !macro.name || !macro.sequence) {
+                continue;
+            }
+            try {
+                keySequence.parse(macro.sequence);
+            } catch (err) {
+                this.log.warn(`Macro ${macro.name} is skipped: ${err.message}`);
+                continue;
+            }
+            const id = this.objectId(`macros.${toIdSegment(this.adapter, macro.name)}`);
+            ids.push(id);
+            await this.adapter.extendObjectAsync(id, {
+                type: 'state',
+                common: { name: macro.name, role: 'button', type: 'boolean', read: false, write: true },
+                native: { sequence: macro.sequence },
+            });
+        }
+        const existing = await this.adapter.getForeignObjectsAsync(
+            `${this.adapter.namespace}.${this.objectId('macros')}.*`,
+        );
+        for (const fullId of Object.keys(existing)) {
+            const id = fullId.substring(this.adapter.namespace.length + 1);
+            if (!ids.includes(id)) {
+                await this.adapter.delObjectAsync(id);
+            }
+        }
+    }
+
+    /**
+     * Deletes the hardcoded remote control buttons of earlier versions, below the TV and, when the TV took over
+     * the single TV layout, below the instance. Their custom settings (e.g. history) move to the remote.<KeyName>
+     * button with the same IRCC code.
+     * @param {Record<string, string>} keys IRCC code by object id of the remote.<KeyName> buttons
+     */
+    async migrateLegacyButtons(keys) {
+        const idsByCode = {};
+        for (const [id, code] of Object.entries(keys)) {
+            idsByCode[code] = idsByCode[code] || id;
+        }
+        const legacyIds = (id) => (this.legacyRoot ? [this.objectId(id), id] : [this.objectId(id)]);
+        let removed = 0;
+        for (const [legacyId] of LEGACY_IRCC_BUTTONS) {
+            for (const id of legacyIds(legacyId)) {
+                const obj = await this.adapter.getObjectAsync(id);
+                if (!obj) {
+                    continue;
+                }
+                const target = idsByCode[legacyId.substring(legacyId.indexOf('.') + 1)];
+                if (target && obj.common && obj.common.custom) {
+                    this.log.info(`Moving the custom settings of ${id} to ${target}`);
+                    await this.adapter.extendObjectAsync(target, { common: { custom: obj.common.custom } });
+                }
+                await this.adapter.delObjectAsync(id);
+                removed++;
+            }
+        }
+        for (const channel of LEGACY_IRCC_CHANNELS) {
+            for (const id of legacyIds(channel)) {
+                if (await this.adapter.getObjectAsync(id)) {
+                    await this.adapter.delObjectAsync(id, { recursive: true });
+                }
+            }
+        }
+        if (removed) {
+            this.log.info(`Replaced ${removed} hardcoded remote control buttons by the keys in remote`);
+        }
+    }
+
+    /**
+     * Creates the objects of the supported trees and deletes those of the unsupported ones.
+     */
+    async createDeviceObjects() {
+        for (const obj of DEVICE_OBJECTS) {
+            if (this.isObjectSupported(obj._id)) {
+                await this.adapter.setObjectNotExistsAsync(this.objectId(obj._id), {
+                    type: obj.type,
+                    common: obj.common,
+                    native: obj.native,
+                });
+            }
+        }
+        for (const tree of CAPABILITY_TREES) {
+            if (!this.supportsTree(tree) && (await this.adapter.getObjectAsync(this.objectId(tree.id)))) {
+                const methods = (tree.methods || [tree.method]).join('/');
+                this.log.info(`TV does not support ${tree.service}.${methods}, removing ${tree.id}`);
+                await this.adapter.delObjectAsync(this.objectId(tree.id), { recursive: true });
+            }
+        }
+        // the empty channel of earlier versions, the favourite lists are in avContent.favorites
+        if (await this.adapter.getObjectAsync(this.objectId('avContent.fav'))) {
+            await this.adapter.delObjectAsync(this.objectId('avContent.fav'), { recursive: true });
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        this.pollTimeout && clearTimeout(this.pollTimeout);
+        this.contentSyncTimeout && clearTimeout(this.contentSyncTimeout);
+        this.controller.close();
+        this.adapter.setState(this.objectId('info.modelInformation'), { val: '', ack: true });
+    }
+
+    async createObjects() {
+        const deviceObj = await this.adapter.getObjectAsync(this.id);
+        const native = (deviceObj && deviceObj.native) || {};
+        if (!this.udn && native.udn && native.configuredIp === this.config.ip) {
+            this.udn = native.udn;
+        }
+        // the TV moved before the last restart and the configuration still means the same TV
+        if (native.ip && native.ip !== this.ip && native.udn && native.udn === this.udn) {
+            this.log.info(`Using ${native.ip}, the last known address of the TV, instead of ${this.ip}`);
+            this.ip = native.ip;
+            this.controller.setHost(native.ip);
+        }
+        if (!this.mac && native.mac) {
+            this.mac = native.mac;
+        }
+        if (this.authMode === 'pin') {
+            const clientId = native.clientId || `ioBroker:${crypto.randomUUID()}`;
+            this.controller.usePinAuth(
+                clientId,
+                `ioBroker ${this.adapter.namespace}`,
+                native.authCookie,
+                native.authExpires,
+            );
+            await this.adapter.extendObjectAsync(this.id, { native: { clientId: clientId } });
+            if (!native.authCookie) {
+                this.log.warn('Not paired yet. Request a PIN and pair the TV in the adapter settings');
+            }
+        }
+        await this.adapter.extendObjectAsync(this.id, {
+            type: 'device',
+            common: { name: this.name },
+            native: { ip: this.ip, configuredIp: this.config.ip, udn: this.udn },
+        });
+        // capabilities of the last start, the TV may be off now
+        const capabilities = await this.adapter.getStateAsync(this.objectId('info.capabilities'));
+        if (capabilities && capabilities.val) {
+            try {
+                this.capabilities = JSON.parse(String(capabilities.val));
+            } catch (e) {
+                this.capabilities = null;
+            }
+        }
+        await this.createDeviceObjects();
+        await this.createMacroObjects();
+    }
+
+    /**
+     * Runs a check and schedules the next one.
+     */
+    async poll() {
+        this.pollTimeout = null;
+        this.polling = true;
+        try {
+            await this.checkStatus();
+        } catch (err) {
+            this.log.error(`Status check failed ${err}`);
+        }
+        this.polling = false;
+        if (!this.stopped) {
+            this.scheduleCheck(this.nextPollDelay());
+        }
+    }
+
+    /**
+     * Runs the next check after the given delay, replacing an already scheduled check.
+     * @param {number} delay in ms
+     */
+    scheduleCheck(delay) {
+        this.pollTimeout && clearTimeout(this.pollTimeout);
+        this.pollTimeout = null;
+        if (this.polling || this.stopped) {
+            // the running check schedules the next one
+            return;
+        }
+        this.pollTimeout = setTimeout(() => this.poll(), delay);
+    }
+
+    /**
+     * Checks the status a few times in short distance, e.g. after a command was sent.
+     */
+    pollBurst() {
+        this.burstRemaining = POLL_BURST_COUNT - 1;
+        this.scheduleCheck(POLL_BURST_INTERVAL);
+    }
+
+    /**
+     * @returns {number} delay in ms until the next check
+     */
+    nextPollDelay() {
+        if (this.burstRemaining > 0) {
+            this.burstRemaining--;
+            return POLL_BURST_INTERVAL;
+        }
+        const seconds = (value, fallback) => (parseInt(value, 10) > 0 ? parseInt(value, 10) : fallback) * 1000;
+        const standby = seconds(this.adapter.config.pollIntervalStandby, POLL_INTERVAL_STANDBY);
+        if (!this.isConnected) {
+            // back off while the TV is unreachable
+            return Math.min(standby * 2 ** Math.max(this.failedChecks - 1, 0), Math.max(POLL_INTERVAL_MAX, standby));
+        }
+        return this.isPowerActive ? seconds(this.adapter.config.pollIntervalOn, POLL_INTERVAL_ON) : standby;
+    }
+
+    /**
+     * Logs a failed command and reports it in the info states.
+     * @param {any} err
+     */
+    commandFailed(err) {
+        this.log.error(err);
+        this.reportError(err);
+    }
+
+    /**
+     * Publishes a failed request in info.lastError and info.lastErrorCode. An authentication failure
+     * marks the TV as disconnected until an authenticated request succeeds again.
+     * @param {any} err usually a BraviaError
+     */
+    reportError(err) {
+        const code = err && typeof err.code === 'number' ? err.code : (err && err.statusCode) || null;
+        this.adapter.setStateChanged(this.objectId('info.lastError'), {
+            val: String((err && err.message) || err),
+            ack: true,
+        });
+        this.adapter.setStateChanged(this.objectId('info.lastErrorCode'), { val: code, ack: true });
+
+        if (err && err.category === 'auth') {
+            if (!this.authFailed) {
+                this.log.error(
+                    this.authMode === 'pin'
+                        ? `Authentication failed, the PIN pairing is not valid anymore. Pair the adapter again (${err.message})`
+                        : `Authentication failed, wrong PSK? Check the Pre-Shared Key in the TV network settings and the adapter configuration (${err.message})`,
+                );
+            }
+            this.authFailed = true;
+            this.setConnected(false);
+        }
+    }
+
+    /**
+     * Called when an authenticated request succeeded.
+     */
+    authSucceeded() {
+        if (this.authFailed) {
+            this.authFailed = false;
+            this.log.info('Authentication succeeded again');
+            this.setConnected(true);
+        }
+    }
+
+    setConnected(isConnected) {
+        if (this.isConnected !== isConnected) {
+            this.isConnected = isConnected;
+            this.adapter.setState(this.objectId('info.connection'), { val: isConnected, ack: true });
+            this.onConnectionChange && this.onConnectionChange(this);
+        }
+    }
+
+    /**
+     * @param {string} id full state id
+     * @param {ioBroker.State} state
+     */
+    onStateChange(id, state) {
+        // branches test the id below the TV, so a TV may be named like one of its channels, e.g. macros
+        const relativeId = id.substring(this.adapter.namespace.length + this.id.length + 2);
+        const settings = SETTING_CHANNELS.filter((channel) => relativeId.startsWith(`${channel.id}.`));
+        if (settings.length) {
+            this.adapter
+                .getObjectAsync(id)
+                .then((obj) => {
+                    if (!obj) {
+                        throw new Error(`Object ${id} not found`);
+                    }
+                    const channel = settings.find((channel) => channel.set === obj.native.set) || settings[0];
+                    return this.controller[channel.set](obj.native.target, String(state.val));
+                })
+                .then(() => this.pollBurst())
+                .catch((err) => this.commandFailed(err));
+        } else if (relativeId === 'info.powerStatusActive') {
+            (state.val ? this.powerOn() : this.controller.setPowerStatus(false))
+                .then(() => this.pollBurst())
+                .catch((err) => this.commandFailed(err));
+        } else if (relativeId === 'info.refreshContent') {
+            this.syncContent().catch((err) => this.commandFailed(err));
+        } else if (relativeId === 'api.request') {
+            this.onApiRequest(state.val);
+        } else if (relativeId === 'avContent.channelNumber') {
+            this.zapToNumber(Number(state.val)).catch((err) => this.commandFailed(err));
+        } else if (relativeId === 'avContent.channelUp' || relativeId === 'avContent.channelDown') {
+            this.stepChannel(id.endsWith('Up') ? 1 : -1).catch((err) => this.commandFailed(err));
+        } else if (relativeId.startsWith('avContent.')) {
+            const favorites = this.favorites[relativeId];
+            this.channelList = favorites ? favorites.list : null;
+            this.turnOverIfPowerIsActiv(id, state.val, (uri) => {
+                this.controller
+                    .setPlayContent(uri)
+                    .then(() => {
+                        this.playingUri = uri;
+                        this.pollBurst();
+                    })
+                    .catch((err) => this.commandFailed(err));
+            });
+        } else if (relativeId === 'appControl.terminateApps') {
+            this.ifPowerIsActiv(() => {
+                this.controller
+                    .terminateApps()
+                    .then(() => this.pollBurst())
+                    .catch((err) => this.commandFailed(err));
+            });
+        } else if (relativeId.startsWith('appControl.app.')) {
+            this.turnOverIfPowerIsActiv(id, state.val, (uri) => {
+                this.controller
+                    .setActiveApp(uri)
+                    .then(() => this.pollBurst())
+                    .catch((err) => this.commandFailed(err));
+            });
+        } else if (relativeId.startsWith('audio.volume.') && id.endsWith('mute')) {
+            this.turnVolume(id, (target) => {
+                this.controller
+                    .setMute(!!state.val, target)
+                    .then(() => this.pollBurst())
+                    .catch((err) => this.commandFailed(err));
+            });
+        } else if (relativeId.startsWith('audio.volume.') && (id.endsWith('volumeUp') || id.endsWith('volumeDown'))) {
+            const configured = parseInt(this.adapter.config.volumeStep, 10);
+            const step = configured > 0 ? configured : VOLUME_STEP;
+            this.turnVolume(id, (target) => {
+                // the TV takes relative changes as +N and -N
+                this.controller
+                    .setVolume(target, id.endsWith('volumeUp') ? `+${step}` : `-${step}`)
+                    .then(() => this.pollBurst())
+                    .catch((err) => this.commandFailed(err));
+            });
+        } else if (relativeId.startsWith('audio.volume.') && id.endsWith('volume')) {
+            this.turnVolume(id, (target) => {
+                this.controller
+                    .setVolume(target, String(Math.round(Number(state.val))))
+                    .then(() => this.pollBurst())
+                    .catch((err) => this.commandFailed(err));
+            });
+        } else if (relativeId === 'appControl.textInput') {
+            this.ifPowerIsActiv(() => {
+                this.controller
+                    .setTextForm(String(state.val))
+                    .then(() => this.adapter.setState(id, { val: state.val, ack: true }))
+                    .then(() => this.pollBurst())
+                    .catch((err) => this.commandFailed(err));
+            });
+        } else if (relativeId === 'appControl.openUrl') {
+            const result = (val) =>
+                this.adapter.setStateAsync(this.objectId('appControl.openUrlResult'), { val, ack: true });
+            this.openUrl(state.val)
+                .then(() => {
+                    this.adapter.setState(id, { val: state.val, ack: true });
+                    this.pollBurst();
+                    return result('ok');
+                })
+                .catch((err) => {
+                    this.commandFailed(err);
+                    return result(err.message);
+                });
+        } else if (relativeId === 'remote.sequence') {
+            this.sendSequence(state.val)
+                .then(() => {
+                    this.adapter.setState(id, { val: state.val, ack: true });
+                    this.pollBurst();
+                })
+                .catch((err) => this.commandFailed(err));
+        } else if (relativeId.startsWith('macros.')) {
+            this.adapter
+                .getObjectAsync(id)
+                .then((obj) => {
+                    if (!obj) {
+                        throw new Error(`Object ${id} not found`);
+                    }
+                    return this.sendSequence(obj.native.sequence);
+                })
+                .then(() => this.pollBurst())
+                .catch((err) => this.commandFailed(err));
+        } else if (relativeId.startsWith('remote.')) {
+            // the key name is the fallback while the object is not readable
+            this.adapter
+                .getObjectAsync(id)
+                .then((obj) => this.controller.send(obj && obj.native.code ? obj.native.code : id.split('.').pop()))
+                .then(() => this.pollBurst())
+                .catch((err) => this.commandFailed(err));
+        } else {
+            this.log.debug(`Unhandled state change of ${id}`);
+        }
+    }
+
+    /**
+     * Calls any method of the REST API.
+     * @param {{service: string, method: string, version?: string, params?: any}} request params may be one object
+     * @returns {Promise<any>} JSON-RPC response as it is, including a Sony error
+     */
+    invokeApi(request) {
+        if (!request || typeof request !== 'object') {
+            return Promise.reject(
+                new BraviaError('Request has to be an object with service, method, version and params'),
+            );
+        }
+        let params = request.params === undefined || request.params === null ? [] : request.params;
+        params = Array.isArray(params) ? params : [params];
+        return this.controller
+            .invoke(request.service, request.method, request.version || '1.0', params)
+            .then((response) => {
+                if (response && Array.isArray(response.error)) {
+                    this.reportError(BraviaError.fromSonyError(`${request.service}.${request.method}`, response.error));
+                }
+                return response;
+            });
+    }
+
+    /**
+     * Runs the JSON request written to api.request and writes the response to api.response.
+     * @param {any} value e.g. {"service": "audio", "method": "getVolumeInformation", "version": "1.0", "params": []}
+     */
+    onApiRequest(value) {
+        Promise.resolve()
+            .then(() => this.invokeApi(typeof value === 'string' ? JSON.parse(value) : value))
+            .catch((err) => {
+                this.commandFailed(err);
+                return { error: [typeof err.code === 'number' ? err.code : null, err.message] };
+            })
+            .then((response) => {
+                this.adapter.setState(this.objectId('api.response'), { val: JSON.stringify(response), ack: true });
+                this.adapter.setState(this.objectId('api.request'), { val: value, ack: true });
+            });
+    }
+
+    turnOverIfPowerIsActiv(id, value, turnOverCall) {
+        this.ifPowerIsActiv(() => {
+            this.adapter.getObject(id, (err, obj) => {
+                if (err || !obj) {
+                    this.log.error(err || `Object ${id} not found`);
+                } else {
+                    // buttons have their URI, selections one per value
+                    const uri = obj.native.uri || obj.native[value];
+                    this.log.debug(`Turn over to ${uri}`);
+                    turnOverCall(uri);
+                }
+            });
+        });
+    }
+
+    turnVolume(id, targetCall) {
+        this.ifPowerIsActiv(() => {
+            this.adapter.getObject(id, (err, obj) => {
+                if (err || !obj) {
+                    this.log.error(err || `Object ${id} not found`);
+                } else {
+                    const target = obj.native.target;
+                    this.log.debug(`Controll volumne ${target}`);
+                    targetCall(target);
+                }
+            });
+        });
+    }
+
+    ifPowerIsActiv(callback) {
+        this.adapter.getState(this.objectId('info.powerStatusActive'), (err, powerState) => {
+            if (err) {
+                this.log.error(err);
+            } else {
+                if (powerState && powerState.val) {
+                    callback();
+                } else {
+                    this.log.info('Device have to turned on');
+                }
+            }
+        });
+    }
+
+    /**
+     * Reads the inputs, channels and apps of the TV and brings the avContent and appControl.app objects in line:
+     * new items are created, renamed ones updated and items the TV does not list anymore deleted. Trees whose
+     * lists could not be read completely are not cleaned up. The result is written to info.contentSync.
+     * @returns {Promise<{added: number, renamed: number, migrated: number, removed: number, total: number}>}
+     */
+    syncContent() {
+        if (!this.runningSync) {
+            this.runningSync = this.runContentSync().finally(() => (this.runningSync = null));
+        }
+        return this.runningSync;
+    }
+
+    async runContentSync() {
+        /** @type {{tree: ContentTree, uri: string, name: string}[]} */
+        const items = [];
+        /** @type {ContentTree[]} */
+        const trees = [];
+        if (this.supports('avContent', 'getSourceList')) {
+            await this.readAvContent(items, trees);
+        }
+        if (this.supports('appControl', 'getApplicationList')) {
+            await this.readApps(items, trees);
+        }
+
+        const existing = {};
+        // by tree and URI id, the srvName in channel URIs changes with the title
+        const idsByContent = {};
+        for (const tree of trees) {
+            const objects = await this.adapter.getForeignObjectsAsync(
+                `${this.adapter.namespace}.${this.objectId(tree.id)}.*`,
+                'state',
+            );
+            for (const fullId of Object.keys(objects)) {
+                const obj = objects[fullId];
+                if (obj.type === 'state' && obj.native && obj.native.uri) {
+                    const id = fullId.substring(this.adapter.namespace.length + 1);
+                    existing[id] = { obj, tree };
+                    const key = `${tree.id} ${contentId.fromUri(obj.native.uri)}`;
+                    (idsByContent[key] = idsByContent[key] || []).push(id);
+                }
+            }
+        }
+
+        const summary = { added: 0, renamed: 0, migrated: 0, removed: 0, total: items.length };
+        const taken = new Set();
+        const toCreate = [];
+        const migratedIds = new Set();
+        for (const item of items) {
+            const candidates = (idsByContent[`${item.tree.id} ${contentId.fromUri(item.uri)}`] || [])
+                .slice()
+                .sort((a, b) => (existing[b].obj.native.uri === item.uri) - (existing[a].obj.native.uri === item.uri));
+            const id = this.contentObjectId(item, candidates, existing, taken);
+            taken.add(id);
+            item.id = id;
+            const current = existing[id];
+            if (current) {
+                if (current.obj.common.name !== item.name || current.obj.native.uri !== item.uri) {
+                    await this.adapter.extendObjectAsync(id, {
+                        common: { name: item.name },
+                        native: { uri: item.uri },
+                    });
+                    summary.renamed++;
+                }
+                continue;
+            }
+            const common = { name: item.name, role: 'button', type: 'boolean', read: false, write: true };
+            // objects of older versions were named after the title, keep their settings
+            const legacyId = candidates.find((candidate) => !taken.has(candidate) && !migratedIds.has(candidate));
+            if (legacyId) {
+                migratedIds.add(legacyId);
+                if (existing[legacyId].obj.common.custom) {
+                    common.custom = existing[legacyId].obj.common.custom;
+                }
+                this.log.debug(`Migrate ${legacyId} to ${id}`);
+                summary.migrated++;
+            } else {
+                summary.added++;
+            }
+            toCreate.push({ _id: id.substring(this.id.length + 1), type: 'state', common, native: { uri: item.uri } });
+        }
+        await this.createObjectsInBatches(toCreate);
+
+        for (const id of Object.keys(existing)) {
+            if (taken.has(id)) {
+                continue;
+            }
+            if (migratedIds.has(id)) {
+                await this.adapter.delObjectAsync(id);
+            } else if (existing[id].tree.complete) {
+                await this.adapter.delObjectAsync(id);
+                summary.removed++;
+            }
+        }
+
+        for (const tree of trees) {
+            if (tree.selection && tree.complete) {
+                const entries = items
+                    .filter((item) => item.tree === tree)
+                    .map((item) => ({
+                        value: item.id.substring(item.id.lastIndexOf('.') + 1),
+                        name: item.name,
+                        uri: item.uri,
+                    }));
+                await this.writeSelection(tree.selection, 'content selection', entries);
+                // read again with the next poll
+                this.selections = null;
+            }
+        }
+
+        const incomplete = trees.filter((tree) => !tree.complete).map((tree) => tree.id);
+        await this.adapter.setStateAsync(this.objectId('info.contentSync'), {
+            val: JSON.stringify(Object.assign({ time: new Date().toISOString() }, summary, { incomplete })),
+            ack: true,
+        });
+        const changes = summary.added + summary.renamed + summary.migrated + summary.removed;
+        this.log[changes ? 'info' : 'debug'](
+            `Content synchronised: ${summary.total} items, ${summary.added} added, ${summary.renamed} renamed, ` +
+                `${summary.migrated} migrated, ${summary.removed} removed` +
+                (incomplete.length ? `, not complete: ${incomplete.join(', ')}` : ''),
+        );
+        return summary;
+    }
+
+    /**
+     * Picks the object id of a content item. It is built from the URI, so it stays the same when the title changes.
+     * URIs leading to the same id get a counter appended; an id an item already has is kept.
+     * @param {{tree: ContentTree, uri: string}} item
+     * @param {string[]} candidates ids of existing objects for the same content, those with the same URI first
+     * @param {Record<string, {obj: ioBroker.Object}>} existing existing objects by id
+     * @param {Set<string>} taken ids of the items before
+     * @returns {string} id including the TV
+     */
+    contentObjectId(item, candidates, existing, taken) {
+        const base = this.objectId(`${item.tree.id}.${contentId.fromUri(item.uri)}`);
+        const own = candidates.find(
+            (id) =>
+                !taken.has(id) && (id === base || (id.startsWith(base) && /^_\d+$/.test(id.substring(base.length)))),
+        );
+        if (own) {
+            return own;
+        }
+        let id = base;
+        for (let n = 2; taken.has(id) || existing[id]; n++) {
+            id = `${base}_${n}`;
+        }
+        if (id !== base) {
+            this.log.debug(`${base} is used by other content, ${item.uri} gets ${id}`);
+        }
+        return id;
+    }
+
+    /**
+     * Writes a state that selects one of the entries, the URIs are in native. Settings like history are kept.
+     * @param {string} id relative to the TV
+     * @param {string} name
+     * @param {{value: string, name: string, uri: string}[]} entries
+     */
+    async writeSelection(id, name, entries) {
+        const selection = {
+            type: 'state',
+            common: {
+                name,
+                type: 'string',
+                role: 'state',
+                read: true,
+                write: true,
+                states: {},
+            },
+            native: {},
+        };
+        for (const entry of entries) {
+            selection.common.states[entry.value] = entry.name;
+            selection.native[entry.value] = entry.uri;
+        }
+        const current = await this.adapter.getObjectAsync(this.objectId(id));
+        if (current && current.common.custom) {
+            selection.common.custom = current.common.custom;
+        }
+        await this.adapter.setObjectAsync(this.objectId(id), selection);
+    }
+
+    /**
+     * Reads the content lists of all schemes and sources.
+     * @param {{tree: ContentTree, uri: string, name: string}[]} items items to add to
+     * @param {ContentTree[]} trees trees to add the schemes to
+     */
+    async readAvContent(items, trees) {
+        let schemes;
+        try {
+            schemes = await this.controller.getSchemeList();
+        } catch (err) {
+            this.log.error(`SchemeList ${err}`);
+            return;
+        }
+        if (!Array.isArray(schemes)) {
+            this.log.error(`Scheme List. Unknown content response ${JSON.stringify(schemes)}`);
+            return;
+        }
+        const maxItems = parseInt(this.adapter.config.maxContentItems, 10);
+        const count = maxItems > 0 ? maxItems : MAX_CONTENT_ITEMS;
+        for (const { scheme } of schemes) {
+            /** @type {ContentTree} */
+            const tree = { id: `avContent.${scheme}`, complete: true, selection: `avContent.${scheme}Selection` };
+            trees.push(tree);
+            let sources;
+            try {
+                sources = await this.controller.getSourceList(scheme);
+            } catch (err) {
+                this.log.error(`SourceList ${err}`);
+                tree.complete = false;
+                continue;
+            }
+            if (!Array.isArray(sources)) {
+                this.log.error(`Source List. Unknown content response ${JSON.stringify(sources)}`);
+                tree.complete = false;
+                continue;
+            }
+            const uris = new Set();
+            const favoriteLists = [];
+            for (const source of sources) {
+                if (source.source.includes('fav=')) {
+                    favoriteLists.push(source.source);
+                    continue;
+                }
+                let channels;
+                try {
+                    channels = await this.controller.getContentList(0, count, source.source);
+                } catch (err) {
+                    this.log.error(`ContentList ${err}`);
+                    tree.complete = false;
+                    continue;
+                }
+                this.log.debug(`${source.source} has ${channels.length} items`);
+                if (!channels.length && (await this.hasContentObjects(tree, source.source))) {
+                    this.log.debug(`Keeping the objects of ${source.source}, the TV reports no items`);
+                    tree.complete = false;
+                }
+                if (scheme === 'tv') {
+                    this.channelLists[source.source] = channels;
+                }
+                for (const channel of channels) {
+                    if (channel.uri && !uris.has(channel.uri)) {
+                        uris.add(channel.uri);
+                        items.push({ tree, uri: channel.uri, name: String(channel.title || '').trim() || channel.uri });
+                    }
+                }
+            }
+            if (scheme === 'tv' && tree.complete) {
+                await this.readFavorites(
+                    sources.map((source) => source.source).filter((source) => !source.includes('?')),
+                    favoriteLists,
+                    count,
+                );
+            }
+        }
+    }
+
+    /**
+     * Reads the favourite lists and writes a selection state per list to avContent.favorites.
+     * Lists the TV does not report as source, e.g. tv:dvbc?fav=1, are probed up to MAX_FAVORITE_LISTS per source.
+     * @param {string[]} sources broadcast sources, e.g. tv:dvbc
+     * @param {string[]} listed favourite lists reported as source
+     * @param {number} count maximum number of channels per list
+     */
+    async readFavorites(sources, listed, count) {
+        const lists = {};
+        let complete = true;
+        const read = async (list) => {
+            const channels = await this.controller.getContentList(0, count, list);
+            if (channels.length) {
+                lists[list] = channels;
+            }
+            return channels.length > 0;
+        };
+        for (const list of listed) {
+            await read(list).catch((err) => {
+                this.log.error(`ContentList ${err}`);
+                complete = false;
+            });
+        }
+        for (const source of sources) {
+            for (let fav = 1; fav <= MAX_FAVORITE_LISTS; fav++) {
+                const list = `${source}?fav=${fav}`;
+                // a TV without the list answers with an error or an empty list
+                if (listed.includes(list)) {
+                    continue;
+                }
+                if (!(await read(list).catch(() => false))) {
+                    break;
+                }
+            }
+        }
+
+        this.favorites = {};
+        for (const list of Object.keys(lists)) {
+            const id = `avContent.favorites.${contentId.fromUri(list)}`;
+            const entries = [];
+            for (const channel of lists[list]) {
+                let value = contentId.fromUri(channel.uri);
+                for (let n = 2; entries.some((entry) => entry.value === value); n++) {
+                    value = `${contentId.fromUri(channel.uri)}_${n}`;
+                }
+                entries.push({ value, name: String(channel.title || '').trim() || channel.uri, uri: channel.uri });
+            }
+            const fav = new URLSearchParams(list.split('?')[1]).get('fav');
+            await this.writeSelection(id, `Favorites ${fav} (${list.split('?')[0]})`, entries);
+            this.favorites[id] = { list, entries };
+            this.channelLists[list] = lists[list];
+        }
+        this.log.debug(`Favorite lists: ${Object.keys(lists).join(', ') || 'none'}`);
+
+        if (complete) {
+            const objects = await this.adapter.getForeignObjectsAsync(
+                `${this.adapter.namespace}.${this.objectId('avContent.favorites')}.*`,
+                'state',
+            );
+            for (const fullId of Object.keys(objects)) {
+                const id = fullId.substring(this.adapter.namespace.length + this.id.length + 2);
+                if (!this.favorites[id]) {
+                    await this.adapter.delObjectAsync(fullId.substring(this.adapter.namespace.length + 1));
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {ContentTree} tree
+     * @param {string} source e.g. tv:dvbc, '' for all items of the tree
+     * @returns {Promise<boolean>} whether the tree has objects of items of the source
+     */
+    async hasContentObjects(tree, source) {
+        const objects = await this.adapter.getForeignObjectsAsync(
+            `${this.adapter.namespace}.${this.objectId(tree.id)}.*`,
+            'state',
+        );
+        return Object.values(objects).some((obj) => {
+            const uri = String((obj.native && obj.native.uri) || '');
+            return uri && (!source || uri === source || uri.startsWith(`${source}?`));
+        });
+    }
+
+    /**
+     * Reads the installed apps.
+     * @param {{tree: ContentTree, uri: string, name: string}[]} items items to add to
+     * @param {ContentTree[]} trees trees to add appControl.app to
+     */
+    async readApps(items, trees) {
+        /** @type {ContentTree} */
+        const tree = { id: 'appControl.app', complete: false };
+        trees.push(tree);
+        let apps;
+        try {
+            apps = await this.controller.getApplicationList();
+        } catch (err) {
+            this.log.error(`ApplicationList ${err}`);
+            return;
+        }
+        if (!Array.isArray(apps)) {
+            this.log.error(`Application List. Unknown content response ${JSON.stringify(apps)}`);
+            return;
+        }
+        // an empty list while apps are known is rather a TV that is not ready
+        tree.complete = apps.length > 0 || !(await this.hasContentObjects(tree, ''));
+        const uris = new Set();
+        for (const app of apps) {
+            if (app.uri && !uris.has(app.uri)) {
+                uris.add(app.uri);
+                items.push({ tree, uri: app.uri, name: String(app.title || '').trim() || app.uri });
+            }
+        }
+    }
+
+    /**
+     * Creates objects that do not exist yet, a batch at a time with a pause in between.
+     * @param {{_id: string, type: string, common: object, native: object}[]} objects ids relative to the TV
+     */
+    async createObjectsInBatches(objects) {
+        for (let i = 0; i < objects.length; i += OBJECT_BATCH_SIZE) {
+            if (i > 0) {
+                await this.adapter.delay(OBJECT_BATCH_DELAY);
+            }
+            await Promise.all(
+                objects.slice(i, i + OBJECT_BATCH_SIZE).map((obj) =>
+                    this.adapter.setObjectNotExistsAsync(this.objectId(obj._id), {
+                        type: obj.type,
+                        common: obj.common,
+                        native: obj.native,
+                    }),
+                ),
+            );
+        }
+    }
+
+    /**
+     * Turns the TV on. If it is not reachable or does not answer (deep standby), it is woken by Wake-on-LAN and
+     * setPowerStatus is repeated until the TV answers or the configured number of retries is reached.
+     */
+    async powerOn() {
+        if (this.isConnected || !this.mac) {
+            try {
+                return await this.controller.setPowerStatus(true);
+            } catch (err) {
+                if (!this.mac) {
+                    throw new Error(`${err} - Wake-on-LAN is not possible without MAC address`);
+                }
+                this.log.info(`TV does not answer (${err}), sending Wake-on-LAN to ${this.mac}`);
+            }
+        } else {
+            this.log.info(`TV is not reachable, sending Wake-on-LAN to ${this.mac}`);
+        }
+
+        const retries = parseInt(this.adapter.config.wolRetries, 10);
+        const maxAttempts = isNaN(retries) ? WOL_RETRIES : Math.max(retries, 0);
+        for (let attempt = 1; ; attempt++) {
+            await wol.wake(this.mac);
+            await this.adapter.delay(WOL_RETRY_DELAY);
+            try {
+                return await this.controller.setPowerStatus(true, { timeout: WOL_PROBE_TIMEOUT, retries: 0 });
+            } catch (err) {
+                if (attempt >= maxAttempts) {
+                    throw new Error(`TV did not wake up after ${attempt} Wake-on-LAN attempts: ${err}`);
+                }
+                this.log.debug(`Wake-on-LAN attempt ${attempt} failed: ${err}`);
+            }
+        }
+    }
+
+    /**
+     * Reads the MAC address for Wake-on-LAN from the TV if it is not configured.
+     */
+    async learnMac() {
+        const info = await this.controller.getSystemInformation();
+        if (info && info.macAddr) {
+            this.mac = info.macAddr;
+            this.log.debug(`MAC address is ${this.mac}`);
+            await this.adapter.extendObjectAsync(this.id, { native: { mac: this.mac } });
+            await this.adapter.setStateAsync(this.objectId('info.macAddress'), { val: this.mac, ack: true });
+        }
+    }
+
+    /**
+     * Starts the PIN pairing: the TV shows a PIN that has to be passed to pair().
+     * @returns {Promise<boolean>} false if the TV registered this client again without PIN
+     */
+    async requestPin() {
+        if (this.authMode !== 'pin') {
+            throw new Error('PIN pairing is not enabled for this TV');
+        }
+        try {
+            await this.controller.register();
+            return false;
+        } catch (err) {
+            if (err.statusCode === 401) {
+                return true;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * @param {string} pin PIN shown on the TV
+     */
+    async pair(pin) {
+        if (this.authMode !== 'pin') {
+            throw new Error('PIN pairing is not enabled for this TV');
+        }
+        await this.controller.register(String(pin).trim());
+        this.pollBurst();
+    }
+
+    renewAuthIfDue() {
+        const expires = this.controller.cookieExpires;
+        if (
+            this.authMode !== 'pin' ||
+            !this.controller.cookie ||
+            !expires ||
+            expires - Date.now() > AUTH_RENEW_BEFORE
+        ) {
+            return;
+        }
+        if (Date.now() - this.lastAuthRenewal > AUTH_RENEW_RETRY) {
+            this.lastAuthRenewal = Date.now();
+            this.controller.register().catch((err) => this.log.warn(`Auth cookie cannot be renewed ${err}`));
+        }
+    }
+
+    /**
+     * Stores the UDN of the TV, searched by its current address if it is not configured.
+     */
+    async learnUdn() {
+        const found = await discover(this.log);
+        const tv = found.find((tv) => tv.host === this.ip);
+        if (tv) {
+            this.udn = tv.UDN;
+            this.log.debug(`UDN is ${this.udn}`);
+            await this.adapter.extendObjectAsync(this.id, { native: { udn: this.udn } });
+            await this.adapter.setStateAsync(this.objectId('info.udn'), { val: this.udn, ack: true });
+        }
+    }
+
+    /**
+     * Searches the TV by its UDN when it does not answer at its address anymore (e.g. new DHCP lease).
+     */
+    async rediscover() {
+        if (!this.udn || Date.now() - this.lastDiscovery < REDISCOVER_INTERVAL) {
+            return;
+        }
+        this.lastDiscovery = Date.now();
+        this.log.debug(`Searching ${this.udn} at another address`);
+        const tv = (await discover(this.log)).find((tv) => tv.UDN === this.udn);
+        if (tv && tv.host !== this.ip) {
+            this.log.info(`TV moved from ${this.ip} to ${tv.host}`);
+            this.ip = tv.host;
+            this.controller.setHost(tv.host);
+            this.failedChecks = 0;
+            await this.adapter.extendObjectAsync(this.id, { native: { ip: this.ip } });
+            await this.adapter.setStateAsync(this.objectId('info.ip'), { val: this.ip, ack: true });
+            this.pollBurst();
+        }
+    }
+
+    /**
+     * @param {boolean} alive result of the last check
+     */
+    updateReachability(alive) {
+        this.setConnected(alive && !this.authFailed);
+        if (alive) {
+            this.failedChecks = 0;
+            this.renewAuthIfDue();
+            if (!this.capabilitiesRequested) {
+                // the remote control keys are read once the capabilities tell whether the TV has them
+                // both are read again with the next check that finds the TV if one of them fails, e.g. while it boots
+                this.capabilitiesRequested = true;
+                let failure = null;
+                this.loadCapabilities()
+                    .catch((err) => (failure = `Capabilities cannot be determined ${err}`))
+                    .then(() =>
+                        this.supports('system', 'getRemoteControllerInfo')
+                            ? this.createRemoteObjects()
+                            : this.migrateLegacyButtons({}),
+                    )
+                    .catch((err) => (failure = failure || `Remote control keys cannot be determined ${err}`))
+                    .then(() => {
+                        this.capabilitiesRequested = !failure;
+                        this.logChanged('capabilities', failure && `${failure}, trying again with the next check`);
+                    });
+            }
+            if (!this.mac && !this.macRequested) {
+                this.macRequested = true;
+                this.learnMac()
+                    .then(() => this.logChanged('mac', this.mac ? null : 'The TV does not report its MAC address'))
+                    .catch((err) => this.logChanged('mac', `MAC address cannot be determined ${err}`))
+                    .finally(() => (this.macRequested = !!this.mac));
+            }
+            if (!this.udn && !this.lastDiscovery) {
+                this.lastDiscovery = Date.now();
+                this.learnUdn().catch((err) => this.log.debug(`UDN cannot be determined ${err}`));
+            }
+        } else if (++this.failedChecks >= REDISCOVER_AFTER_FAILURES) {
+            this.rediscover().catch((err) => this.log.info(`TV cannot be searched ${err}`));
+        }
+    }
+
+    /**
+     * Checks reachability, power status, playing content and volumes once.
+     * @returns {Promise<void>} resolved when all requests of this check are done
+     */
+    checkStatus() {
+        const method = reachability.METHODS.includes(this.adapter.config.reachability)
+            ? this.adapter.config.reachability
+            : reachability.DEFAULT_METHOD;
+        return reachability
+            .probe(method, { host: this.ip, port: this.controller.port, controller: this.controller })
+            .catch((err) => {
+                this.logChanged('reachability', `${method} check cannot be executed ${err}`);
+                return { alive: false, ms: null };
+            })
+            .then((result) => {
+                this.log.debug(
+                    `Reachability (${method}) result: ${JSON.stringify({ alive: result.alive, ms: result.ms })}`,
+                );
+
+                this.updateReachability(result.alive);
+                this.adapter.setState(this.objectId('info.rtt'), {
+                    val: result.ms === null ? null : Math.round(result.ms * 10) / 10,
+                    ack: true,
+                });
+
+                if (result.alive) {
+                    // Content and volumes are only available while the TV is on
+                    return this.checkPowerStatus(result.powerStatus).then((active) => {
+                        if (!active) {
+                            return this.updatePlaying(null);
+                        }
+                        if (this.contentSyncDue) {
+                            this.contentSyncDue = false;
+                            this.syncContent().catch((err) => this.log.error(`Content cannot be synchronised ${err}`));
+                        }
+                        return Promise.all([this.checkContentAndVolume(), this.checkSettings(), this.checkTextForm()]);
+                    });
+                }
+                this.isPowerActive = false;
+                this.adapter.setState(this.objectId('info.powerStatusActive'), { val: false, ack: true });
+                return this.updatePlaying(null);
+            });
+    }
+
+    /**
+     * @param {any} [powerStatus] getPowerStatus response the reachability check already got
+     * @returns {Promise<boolean>} whether the TV is on
+     */
+    checkPowerStatus(powerStatus) {
+        return (powerStatus ? Promise.resolve(powerStatus) : this.controller.getPowerStatus())
+            .then((states) => {
+                this.isPowerActive = states.result[0].status == 'active' ? true : false;
+                this.logChanged('powerStatus', null);
+                this.adapter.setState(this.objectId('info.powerStatusActive'), {
+                    val: this.isPowerActive,
+                    ack: true,
+                });
+                return this.isPowerActive;
+            })
+            .catch((err) => {
+                this.isPowerActive = false;
+                this.adapter.setState(this.objectId('info.powerStatusActive'), { val: false, ack: true });
+                this.logChanged('powerStatus', `powerStatus cannot be determined ${err}`);
+                this.reportError(err);
+                return false;
+            });
+    }
+
+    checkContentAndVolume() {
+        const content =
+            this.supports('avContent', 'getPlayingContentInfo') &&
+            this.controller
+                .getPlayingContentInfo()
+                .then((content) => {
+                    this.authSucceeded();
+                    this.log.debug(`Aktiv content: ${JSON.stringify(content)}`);
+                    return this.updatePlaying(content);
+                })
+                .catch((err) => {
+                    // nothing is playing while the display is off or e.g. an app is in the foreground
+                    this.log.debug(`contentInfo cannot be determined ${err}`);
+                    if (err.category !== 'display-off' && err.category !== 'busy') {
+                        this.reportError(err);
+                    }
+                    return this.updatePlaying(null);
+                });
+
+        const volume =
+            this.supports('audio', 'getVolumeInformation') &&
+            this.controller
+                .getVolumeInformation()
+                .then((setups) => {
+                    if (Array.isArray(setups)) {
+                        const audios = setups.filter(Array.isArray).reduce((all, setup) => all.concat(setup), []);
+                        return Promise.all(audios.map((audio) => this.updateVolume(audio)));
+                    } else {
+                        this.log.error(`Volume Information. Unknown content response ${JSON.stringify(setups)}`);
+                    }
+                })
+                .catch((err) => {
+                    if (err.category === 'display-off') {
+                        this.log.debug(`volumeInformation not available, ${err}`);
+                    } else {
+                        this.logChanged('volumeInformation', `volumeInformation cannot be determined ${err}`);
+                        this.reportError(err);
+                    }
+                });
+
+        return Promise.all([content, volume]);
+    }
+
+    /**
+     * Publishes the playing content and selects it in the Selection state of its scheme, the Selection states
+     * of the other schemes are cleared.
+     * @param {{title?: string, uri?: string, source?: string}|null} content null when nothing is playing
+     */
+    async updatePlaying(content) {
+        if (!this.supports('avContent', 'getPlayingContentInfo')) {
+            return;
+        }
+        const uri = (content && content.uri) || '';
+        const source = (content && content.source) || '';
+        const set = (id, val) => this.adapter.setStateChangedAsync(this.objectId(id), { val: val, ack: true });
+        await set('info.playingContentInfo', (content && content.title) || '');
+        await set('info.playingUri', uri);
+        await set('info.playingSource', source);
+        await set('info.playingScheme', (uri || source).split(':')[0]);
+        this.playingUri = uri;
+        this.playingSource = source;
+
+        const playing = Object.assign({}, content, content && programProgress(content, Date.now()));
+        for (const [key, type] of PLAYING_STATES) {
+            const value = playing[key];
+            if (value === undefined || value === null || value === '') {
+                await set(`playing.${key}`, type === 'string' ? '' : null);
+            } else {
+                await set(`playing.${key}`, type === 'number' ? Number(value) : String(value));
+            }
+        }
+
+        const selections = await this.getSelections();
+        for (const scheme of Object.keys(selections)) {
+            const uris = selections[scheme];
+            await set(
+                `avContent.${scheme}Selection`,
+                (uri && Object.keys(uris).find((key) => uris[key] === uri)) || '',
+            );
+        }
+        if (this.supports('avContent', 'getSourceList')) {
+            const dispNum = content ? parseInt(content.dispNum, 10) : NaN;
+            await set('avContent.channelNumber', dispNum >= 0 ? dispNum : null);
+            const playingId = uri && contentId.fromUri(uri);
+            for (const id of Object.keys(this.favorites)) {
+                const entry = this.favorites[id].entries.find((entry) => contentId.fromUri(entry.uri) === playingId);
+                await set(id, entry ? entry.value : '');
+            }
+        }
+    }
+
+    /**
+     * Zaps to the channel with the number, channels of the playing source first.
+     * @param {number} number e.g. 1 for dispNum 001
+     */
+    async zapToNumber(number) {
+        const lists = Object.keys(this.channelLists)
+            .filter((list) => !list.includes('?'))
+            .sort((a, b) => (b === this.playingSource) - (a === this.playingSource));
+        for (const list of lists) {
+            const channel = this.channelLists[list].find((channel) => parseInt(channel.dispNum, 10) === number);
+            if (channel) {
+                this.log.debug(`Zap to ${number} ${channel.title}`);
+                await this.controller.setPlayContent(channel.uri);
+                this.playingUri = channel.uri;
+                this.pollBurst();
+                return;
+            }
+        }
+        throw new Error(`Channel number ${number} not found${lists.length ? '' : ', channel lists are not read yet'}`);
+    }
+
+    /**
+     * Zaps to the next or previous channel of the favourite list a channel was last selected from,
+     * otherwise of the list of the playing source. The end of the list continues at its start.
+     * @param {number} step 1 for the next, -1 for the previous channel
+     */
+    async stepChannel(step) {
+        const list =
+            this.channelList ||
+            this.playingSource ||
+            Object.keys(this.channelLists).find((list) => !list.includes('?'));
+        const channels = this.channelLists[list];
+        if (!channels || !channels.length) {
+            throw new Error(`No channel list for ${list || 'the playing content'}, refresh the content`);
+        }
+        const playingId = this.playingUri && contentId.fromUri(this.playingUri);
+        let index = channels.findIndex((channel) => contentId.fromUri(channel.uri) === playingId);
+        if (index < 0) {
+            // not playing a channel of the list, start at its first or last channel
+            index = step > 0 ? -1 : 0;
+        }
+        const channel = channels[(index + step + channels.length) % channels.length];
+        this.log.debug(`Zap to ${channel.dispNum} ${channel.title} of ${list}`);
+        await this.controller.setPlayContent(channel.uri);
+        // another step before the next check continues from here
+        this.playingUri = channel.uri;
+        this.pollBurst();
+    }
+
+    /**
+     * @returns {Promise<Record<string, Record<string, string>>>} URI by Selection value by scheme
+     */
+    async getSelections() {
+        if (!this.selections) {
+            const objects = await this.adapter.getForeignObjectsAsync(
+                `${this.adapter.namespace}.${this.objectId('avContent')}.*Selection`,
+            );
+            this.selections = {};
+            for (const id of Object.keys(objects)) {
+                const scheme = id.substring(id.lastIndexOf('.') + 1).replace(/Selection$/, '');
+                this.selections[scheme] = objects[id].native || {};
+            }
+        }
+        return this.selections;
+    }
+
+    /**
+     * Logs a recurring problem as info only when it changes, repetitions go to debug.
+     * @param {string} key kind of problem
+     * @param {string|null} message null when the problem is solved
+     */
+    logChanged(key, message) {
+        if (message && this.lastMessages[key] !== message) {
+            this.log.info(message);
+        } else if (message) {
+            this.log.debug(message);
+        }
+        this.lastMessages[key] = message;
+    }
+
+    /**
+     * Opens a web page in the web app runtime of the TV or starts an app, optionally with a deep link.
+     * @param {any} value http(s) URL, app URI or {"uri": "...", "data": "..."}, e.g. the YouTube app URI and the link
+     * of a video as data
+     */
+    async openUrl(value) {
+        const text = String(value === null || value === undefined ? '' : value).trim();
+        const target = text.startsWith('{') ? JSON.parse(text) : { uri: text };
+        if (!target || typeof target.uri !== 'string' || !target.uri) {
+            throw new Error('Nothing to open, expected a URL, an app URI or {"uri": "...", "data": "..."}');
+        }
+        if (!this.isPowerActive) {
+            throw new Error(`TV is off, cannot open ${target.uri}`);
+        }
+        const uri = /^https?:\/\//i.test(target.uri)
+            ? `localapp://webappruntime?url=${encodeURIComponent(target.uri)}`
+            : target.uri;
+        this.log.debug(`Open ${uri}${target.data === undefined ? '' : ` with ${target.data}`}`);
+        await this.controller.setActiveApp(uri, target.data === undefined ? undefined : String(target.data));
+    }
+
+    /**
+     * Publishes whether a text field has the focus.
+     */
+    async checkTextForm() {
+        if (!this.supports('appControl', 'getTextForm')) {
+            return;
+        }
+        let focused;
+        try {
+            await this.controller.getTextForm();
+            focused = true;
+        } catch (err) {
+            if (err.code === undefined) {
+                // no answer, the focus is unknown
+                this.log.debug(`textForm cannot be determined ${err}`);
+                return;
+            }
+            // the TV answers with an error while no text field has the focus
+            focused = false;
+        }
+        await this.adapter.setStateChangedAsync(this.objectId('appControl.textFieldFocused'), {
+            val: focused,
+            ack: true,
+        });
+    }
+
+    /**
+     * Publishes the settings of the setting channels the TV supports.
+     */
+    checkSettings() {
+        return Promise.all(
+            SETTING_CHANNELS.filter((channel) => this.supports(channel.service, channel.get)).map((channel) =>
+                this.controller[channel.get]()
+                    .then((settings) => {
+                        this.logChanged(channel.get, null);
+                        return Promise.all(settings.map((setting) => this.updateSetting(channel, setting)));
+                    })
+                    .catch((err) => {
+                        if (err.category === 'display-off') {
+                            this.log.debug(`${channel.get} not available, ${err}`);
+                        } else {
+                            this.logChanged(channel.get, `${channel.get} cannot be determined ${err}`);
+                            this.reportError(err);
+                        }
+                    }),
+            ),
+        );
+    }
+
+    /**
+     * Creates the state of a setting and publishes its value. Settings with a range become numbers with min/max,
+     * settings with candidate values strings with the values as states. The object follows the candidates,
+     * which e.g. depend on the input.
+     * @param {{id: string, set: string}} channel one of SETTING_CHANNELS
+     * @param {{target: string, currentValue: string, candidate?: {value?: string, title?: string, min?: number, max?: number, step?: number}[]}} setting
+     */
+    async updateSetting(channel, setting) {
+        if (!setting.target) {
+            return;
+        }
+        const id = this.objectId(`${channel.id}.${toIdSegment(this.adapter, setting.target)}`);
+        const candidates = Array.isArray(setting.candidate) ? setting.candidate : [];
+        const range = candidates.find(
+            (candidate) => typeof candidate.min === 'number' && typeof candidate.max === 'number',
+        );
+        const common = {
+            name: setting.target,
+            role: range ? 'level' : 'state',
+            type: range ? 'number' : 'string',
+            read: true,
+            write: true,
+        };
+        if (range) {
+            common.min = range.min;
+            common.max = range.max;
+            if (range.step > 0) {
+                common.step = range.step;
+            }
+        } else if (candidates.some((candidate) => candidate.value !== undefined)) {
+            common.states = {};
+            for (const candidate of candidates) {
+                if (candidate.value !== undefined) {
+                    common.states[candidate.value] = candidate.title || candidate.value;
+                }
+            }
+        }
+        const key = JSON.stringify(common);
+        if (this.settingObjects[id] !== key) {
+            const current = await this.adapter.getObjectAsync(id);
+            if (current && current.common.custom) {
+                common.custom = current.common.custom;
+            }
+            await this.adapter.setObjectAsync(id, {
+                type: 'state',
+                common,
+                native: { target: setting.target, set: channel.set },
+            });
+            this.settingObjects[id] = key;
+        }
+        const value = setting.currentValue === undefined || setting.currentValue === null ? '' : setting.currentValue;
+        const number = parseFloat(value);
+        await this.adapter.setStateChangedAsync(id, {
+            val: range ? (isNaN(number) ? null : number) : String(value),
+            ack: true,
+        });
+    }
+
+    /**
+     * Creates the objects of a volume target and publishes its volume and mute state.
+     * @param {{target: string, volume: number, mute: boolean, minVolume?: number, maxVolume?: number}} audio
+     */
+    async updateVolume(audio) {
+        if (!audio.target || audio.target.length <= 1) {
+            return;
+        }
+        const channelId = this.objectId(`audio.volume.${toSnakeCase(audio.target)}`);
+        const native = { target: audio.target };
+        const range = `${audio.minVolume}-${audio.maxVolume}`;
+        if (this.volumeRanges[audio.target] !== range) {
+            await this.adapter.setObjectNotExistsAsync(channelId, {
+                type: 'channel',
+                common: { name: audio.target },
+                native: {},
+            });
+            const common = { name: 'Volume', role: 'level.volume', type: 'number', read: true, write: true };
+            if (typeof audio.minVolume === 'number') {
+                common.min = audio.minVolume;
+            }
+            if (typeof audio.maxVolume === 'number') {
+                common.max = audio.maxVolume;
+            }
+            // extended to also convert the string states of older versions
+            await this.adapter.extendObjectAsync(`${channelId}.volume`, { type: 'state', common, native });
+            await this.adapter.setObjectNotExistsAsync(`${channelId}.mute`, {
+                type: 'state',
+                common: { name: 'Mute', role: 'media.mute', type: 'boolean', read: true, write: true },
+                native,
+            });
+            await this.adapter.setObjectNotExistsAsync(`${channelId}.volumeUp`, {
+                type: 'state',
+                common: { name: 'Volume up', role: 'button.volume.up', type: 'boolean', read: false, write: true },
+                native,
+            });
+            await this.adapter.setObjectNotExistsAsync(`${channelId}.volumeDown`, {
+                type: 'state',
+                common: { name: 'Volume down', role: 'button.volume.down', type: 'boolean', read: false, write: true },
+                native,
+            });
+            this.volumeRanges[audio.target] = range;
+        }
+        await this.adapter.setStateChangedAsync(`${channelId}.volume`, { val: Number(audio.volume), ack: true });
+        await this.adapter.setStateChangedAsync(`${channelId}.mute`, { val: !!audio.mute, ack: true });
+    }
+}
+
+module.exports = TvDevice;
+// exported for the specs
+module.exports.programProgress = programProgress;
@@ -0,0 +1,42 @@
+'use strict';
+
+const { expect } = require('chai');
+const { programProgress } = require('./tv-device');
+
+describe('tv-device => programProgress', () => {
+    // 20:00 UTC, reported by the TV in its local time
+    const content = { startDateTime: '2024-03-01T21:00:00+0100', durationSec: 3600 };
+    const start = Date.UTC(2024, 2, 1, 20, 0, 0);
+
+    it('computes start, end and progress of a running programme', () => {
+        expect(programProgress(content, start + 15 * 60000)).to.deep.equal({
+            startTime: start,
+            endTime: start + 3600000,
+            elapsedSec: 900,
+            remainingSec: 2700,
+            progress: 25,
+        });
+    });
+
+    it('rounds the progress to one decimal', () => {
+        expect(programProgress(content, start + 1000).progress).to.equal(0);
+        expect(programProgress(content, start + 1234567).progress).to.equal(34.3);
+    });
+
+    it('clamps before the start', () => {
+        const progress = programProgress(content, start - 60000);
+        expect(progress).to.include({ elapsedSec: 0, remainingSec: 3600, progress: 0 });
+    });
+
+    it('clamps after the end', () => {
+        const progress = programProgress(content, start + 2 * 3600000);
+        expect(progress).to.include({ elapsedSec: 3600, remainingSec: 0, progress: 100 });
+    });
+
+    it('returns null without programme information', () => {
+        expect(programProgress({}, start)).to.be.null;
+        expect(programProgress({ startDateTime: 'now', durationSec: 3600 }, start)).to.be.null;
+        expect(programProgress({ startDateTime: content.startDateTime, durationSec: 0 }, start)).to.be.null;
+        expect(programProgress({ startDateTime: content.startDateTime }, start)).to.be.null;
+    });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const dgram = require('node:dgram');
+
+/**
+ * Builds the magic packet: 6 bytes 0xFF followed by the MAC address repeated 16 times.
+ * @param {string} mac e.g. 'AA:BB:CC:DD:EE:FF' or 'aa-bb-cc-dd-ee-ff'
+ * @returns {Buffer}
+ */
+function createMagicPacket(mac) {
+    const hex = String(mac).replace(/[^0-9a-f]/gi, '');
+    if (hex.length !== 12) {
+        throw new Error(`Invalid MAC address ${mac}`);
+    }
+    const address = Buffer.from(hex, 'hex');
+    const packet = Buffer.alloc(6 + 16 * address.length, 0xff);
+    for (let i = 0; i < 16; i++) {
+        address.copy(packet, 6 + i * address.length);
+    }
+    return packet;
+}
+
+/**
+ * Sends a Wake-on-LAN magic packet as UDP broadcast.
+ * @param {string} mac MAC address of the device to wake
+ * @param {{address?: string, port?: number}} [options] broadcast address and port
+ * @returns {Promise<void>}
+ */
+function wake(mac, options = {}) {
+    const address = options.address || '255.255.255.255';
+    const port = options.port || 9;
+
+    return new Promise((resolve, reject) => {
+        let packet;
+        try {
+            packet = createMagicPacket(mac);
+        } catch (e) {
+            reject(e);
+            return;
+        }
+        const socket = dgram.createSocket('udp4');
+        socket.once('error', (err) => {
+            socket.close();
+            reject(err);
+        });
+        socket.bind(() => {
+            socket.setBroadcast(true);
+            socket.send(packet, 0, packet.length, port, address, (err) => {
+                socket.close();
+                err ? reject(err) : resolve();
+            });
+        });
+    });
+}
+
+module.exports = {
+    createMagicPacket,
+    wake,
+};
@@ -4,68 +4,41 @@
 
 // you have to require the utils module and call adapter function
 const utils = require('@iobroker/adapter-core'); // Get common adapter utils
+const TvDevice = require(`${__dirname}/lib/tv-device`);
 const Controller = require(`${__dirname}/lib/bravia`);
-const ping = require(`${__dirname}/lib/ping`);
-// const objectHelper = require('@apollon/iobroker-tools').objectHelper; // Get common adapter utils
-const http = require('node:http');
-const { addAbortSignal } = require('node:stream');
+const { LEGACY_IRCC_BUTTONS, LEGACY_IRCC_CHANNELS } = require(`${__dirname}/lib/device-objects`);
+
+// Channels and states of the single-TV layout that lived directly below the instance
+const LEGACY_OBJECTS = ['channel', 'audio', 'appControl', 'avContent', 'source', 'function', 'player', 'others',
+    'info.powerStatusActive', 'info.modelInformation', 'info.playingContentInfo'];
+// TV names that would collide with the instance info channel or the legacy objects removed at every start
+const RESERVED_NAMES = ['info', ...LEGACY_OBJECTS.filter(id => !id.includes('.'))];
 
 let isConnected = null;
-let device;
+const devices = new Map();
 
 // you have to call the adapter function and pass a options object
 // name has to be set and has to be equal to adapters folder name and main file name excluding extension
 // adapter will be restarted automatically every time as the configuration changed, e.g system.adapter.template.0
-let adapter, statusInterval, powerStatusTimeout, playContentTimeout, terminateAppsTimeout, activeAppTimeout, volumeMuteTimeout, volumeSetTimeout;
+let adapter;
 function startAdapter(options) {
     options = options || {};
     Object.assign(options, {
         name: 'sony-bravia',
         stateChange: function (id, state) {
             if (state && !state.ack) {
-                if (id.endsWith("info.powerStatusActive")) {
-                    device.setPowerStatus(state.val).then(body => powerStatusTimeout = setTimeout(() => checkStatus(), 500)).catch(err => adapter.log.error(err));
-                }
-                else if (id.includes(".avContent.")) {
-                    turnOverIfPowerIsActiv(id, state.val, uri => {
-                        device.setPlayContent(uri).then(body => playContentTimeout = setTimeout(() => checkStatus(), 500)).catch(err => adapter.log.error(err));
-                    });
-                }
-                else if (id.includes(".appControl.terminateApps")) {
-                    ifPowerIsActiv(() => {
-                        device.terminateApps().then(body => terminateAppsTimeout = setTimeout(() => checkStatus(), 1000)).catch(err => adapter.log.error(err));
-                    });
-                }
-                else if (id.includes(".appControl.app.")) {
-                    turnOverIfPowerIsActiv(id, state.val, uri => {
-                        device.setActiveApp(uri).then(body => activeAppTimeout = setTimeout(() => checkStatus(), 2000)).catch(err => adapter.log.error(err));
-                    });
-                }
-                else if (id.includes(".audio.volume.") && id.endsWith("mute")) {
-                    device.setMute(state.val).then(body => volumeMuteTimeout = setTimeout(() => checkStatus(), 2000)).catch(err => adapter.log.error(err));
-                }
-                else if (id.includes(".audio.volume.") && id.endsWith("volume")) {
-                    turnVolume(id, target => {
-                        device.setVolume(target, state.val).then(body => volumeSetTimeout = setTimeout(() => checkStatus(), 2000)).catch(err => adapter.log.error(err));
-                    });
-                }
-                else if (id && state) {
-                    id = id.substring(id.lastIndexOf('.') + 1);
-                    device.send(id).catch(err => adapter.log.error(err));
+                const deviceId = id.substring(adapter.namespace.length + 1).split('.')[0];
+                const device = devices.get(deviceId);
+                if (device) {
+                    device.onStateChange(id, state);
                 }
             }
         },
+        message: onMessage,
         ready: main,
         unload: (callback) => {
             try {
-                statusInterval && clearInterval(statusInterval);
-                powerStatusTimeout && clearTimeout(powerStatusTimeout);
-                playContentTimeout && clearTimeout(playContentTimeout);
-                terminateAppsTimeout && clearTimeout(terminateAppsTimeout);
-                activeAppTimeout && clearTimeout(activeAppTimeout);
-                volumeMuteTimeout && clearTimeout(volumeMuteTimeout);
-                volumeSetTimeout && clearTimeout(volumeSetTimeout);
-                adapter.setState('info.modelInformation', { val: "", ack: true });
+                devices.forEach(device => device.stop());
                 callback();
             } catch (e) {
                 callback();
@@ -78,276 +51,195 @@ function startAdapter(options) {
     return adapter;
 }
 
-function setConnected(_isConnected) {
-    if (isConnected !== _isConnected) {
-        isConnected = _isConnected;
-        adapter.setState('info.connection', { val: isConnected, ack: true });
+function reply(obj, result) {
+    if (obj.callback) {
+        adapter.sendTo(obj.from, obj.command, result, obj.callback);
     }
 }
 
-function main() {
-    if (adapter.config.ip && adapter.config.ip !== '0.0.0.0' && adapter.config.psk) {
-        device = new Controller(adapter.config.ip, '80', adapter.config.psk, 5000);
-        // in this template all states changes inside the adapters namespace are subscribed
-        adapter.subscribeStates('*');
-        checkStatus();
-
-        statusInterval = setInterval(checkStatus, 10000); /* TODO: make this a config variable? */
-
-        device.getInterfaceInformation().then(model => {
-            adapter.setState('info.modelInformation', { val: model, ack: true });
-        }).catch(err => {
-            adapter.log.error(err);
-        });
-
-        createAvContentObjects();
-        createAppObjects();
-    } else {
-        adapter.log.error("Please configure the Sony Bravia adapter");
+/**
+ * Handles sendTo commands:
+ * - discover: SSDP search for TVs, replies { devices: [{ host, port, friendlyName, modelName, UDN, ... }] }
+ * - requestPin: { device } lets the TV show the PIN for pairing, replies { pinRequired }
+ * - pair: { device, pin } registers at the TV with the PIN, replies { paired: true }
+ * Errors are replied as { error }.
+ * @param {ioBroker.Message} obj
+ */
+function onMessage(obj) {
+    if (!obj || !obj.command) {
+        return;
     }
-}
-
-function turnOverIfPowerIsActiv(id, value, turnOverCall) {
-    ifPowerIsActiv(() => {
-        adapter.getObject(id, (err, obj) => {
-            if (err) {
-                adapter.log.error(err);
-            } else {
-                var uri;
-                if (id.endsWith('Selection')) {
-                    uri = obj.native[value];
-                } else {
-                    uri = obj.native.uri;
-                }
-                adapter.log.debug(`Turn over to ${uri}`);
-                turnOverCall(uri);
+    switch (obj.command) {
+        case 'discover': {
+            const timeout = (obj.message && parseInt(obj.message.timeout, 10)) || 5000;
+            adapter.log.info(`Searching for TVs for ${timeout / 1000}s`);
+            Controller.discover(timeout, err => adapter.log.debug(`Discovery: ${err.message}`)).then(found => {
+                adapter.log.info(`Found ${found.length} TV(s): ${found.map(tv => `${tv.friendlyName} (${tv.host})`).join(', ')}`);
+                reply(obj, { devices: found });
+            }).catch(err => {
+                adapter.log.warn(`Discovery failed: ${err}`);
+                reply(obj, { error: err.message || String(err) });
+            });
+            break;
+        }
+        case 'requestPin':
+        case 'pair': {
+            const device = findDevice(obj.message && obj.message.device);
+            if (!device) {
+                reply(obj, { error: 'Unknown TV. Save the settings and wait for the instance to restart first' });
+                break;
             }
-        });
-    })
-}
-
-function turnVolume(id, targetCall) {
-    ifPowerIsActiv(() => {
-        adapter.getObject(id, (err, obj) => {
-            if (err) {
-                adapter.log.error(err);
-            } else {
-                const target = obj.native.target;
-                adapter.log.debug(`Controll volumne ${target}`);
-                targetCall(target);
+            const action = obj.command === 'pair'
+                ? device.pair(obj.message.pin).then(() => ({ paired: true }))
+                : device.requestPin().then(pinRequired => ({ pinRequired }));
+            action.then(result => {
+                adapter.log.info(`${device.id}: ${obj.command === 'pair' ? 'paired' : 'PIN requested'}`);
+                reply(obj, result);
+            }).catch(err => {
+                adapter.log.warn(`${device.id}: ${obj.command} failed: ${err}`);
+                reply(obj, { error: err.message || String(err) });
+            });
+            break;
+        }
+        case 'invoke': {
+            const device = findDevice(obj.message && obj.message.device);
+            if (!device) {
+                reply(obj, { error: 'Unknown TV' });
+                break;
             }
-        });
-    })
+            device.invokeApi(obj.message).then(response => reply(obj, response)).catch(err => {
+                adapter.log.warn(`${device.id}: invoke failed: ${err}`);
+                reply(obj, { error: err.message || String(err) });
+            });
+            break;
+        }
+        default:
+            adapter.log.warn(`Unknown command ${obj.command}`);
+            reply(obj, { error: `Unknown command ${obj.command}` });
+    }
 }
 
-function ifPowerIsActiv(callback) {
-    adapter.getState("info.powerStatusActive", (err, powerState) => {
-        if (err) {
-            adapter.log.error(err);
-        } else {
-            if (powerState.val) {
-                callback();
-            } else {
-                adapter.log.info("Device have to turned on");
-            }
-        }
-    });
+/**
+ * @param {string} ref name, object id or IP address of a configured TV
+ * @returns {TvDevice|undefined}
+ */
+function findDevice(ref) {
+    return [...devices.values()].find(device =>
+        device.id === ref || device.name === ref || device.ip === ref || device.config.ip === ref);
 }
 
-const toSnakeCase = str =>
-    str &&
-    str.match(/[A-Z]{2,}(?=[A-Z][a-z]+[0-9]*|\b)|[A-Z]?[a-z]+[0-9]*|[A-Z]+|[0-9]+/g)
-        .map(x => x.toLowerCase())
-        .join('_');
+function setConnected(_isConnected) {
+    if (isConnected !== _isConnected) {
+        isConnected = _isConnected;
+        adapter.setState('info.connection', { val: isConnected, ack: true });
+    }
+}
 
-function createAppObjects() {
-    device.getApplicationList().then(apps => {
-        if (Array.isArray(apps)) {
-            apps.forEach(app => {
-                if (app.title && app.title.length > 1) {
-                    adapter.log.debug(`Create App ${app.title} at ${app.uri}`);
-                    adapter.setObjectNotExists(`appControl.app.${toSnakeCase(app.title)}`, {
-                        "type": "state",
-                        "common": {
-                            "name": app.title,
-                            "role": "button",
-                            "type": "boolean",
-                            "read": false,
-                            "write": true
-                        },
-                        native: {
-                            "uri": app.uri
-                        }
-                    });
-                }
-            });
-        } else {
-            adapter.log.error(`Application List. Unknown content response ${JSON.stringify(scheme)}`);
-        }
-    }).catch(err => {
-        adapter.log.error(`ApplicationList ${err}`);
-    });
+/**
+ * The instance is connected as soon as one of its TVs is reachable.
+ */
+function updateConnection() {
+    setConnected([...devices.values()].some(device => device.isConnected));
 }
 
-function createAvContentObjects() {
-    device.getSchemeList().then(scheme => {
-        if (Array.isArray(scheme)) {
-            scheme.forEach(schema => {
-                device.getSourceList(schema.scheme).then(sources => {
-                    createAvContentSourceObjects(schema, sources);
-                }).catch(err => {
-                    adapter.log.error(`SourceList ${err}`);
-                });
-            });
-        } else {
-            adapter.log.error(`Scheme List. Unknown content response ${JSON.stringify(scheme)}`);
+/**
+ * Reads the TV table from the config. Falls back to the single ip/psk of older configs.
+ * @returns {{name?: string, ip: string, psk: string, udn?: string, auth?: 'psk'|'pin'}[]}
+ */
+function getDeviceConfigs() {
+    let configs = Array.isArray(adapter.config.devices) ? adapter.config.devices : [];
+    if (!configs.length && adapter.config.ip) {
+        configs = [{ name: '', ip: adapter.config.ip, psk: adapter.config.psk }];
+    }
+    return configs.filter(config => {
+        if (config.enabled === false) {
+            return false;
+        }
+        if (!config.ip || config.ip === '0.0.0.0' || (config.auth !== 'pin' && !config.psk)) {
+            adapter.log.warn(`Ignoring TV "${config.name || config.ip}": IP and PSK Key (or PIN authentication) are required`);
+            return false;
+        }
+        if (RESERVED_NAMES.includes(String(config.name || '').trim())) {
+            adapter.log.error(`Ignoring TV "${config.name}": the name is reserved (${RESERVED_NAMES.join(', ')}), choose another one`);
+            return false;
         }
-    }).catch(err => {
-        adapter.log.error(`SchemeList ${err}`);
+        return true;
     });
 }
 
-async function createAvContentSourceObjects(_schema, _sources) {
-    if (Array.isArray(_sources)) {
-        var werteliste = {
-            "type": "state",
-            "common": {
-                "name": "content selection",
-                "type": "string",
-                "role": "state",
-                "read": false,
-                "write": true,
-                "states": {}
-            },
-            "native": {}
-        };
-        for (const source of _sources) {
-            try {
-                var channels = await device.getContentList(0, /* TODO: make this a config variable? */ 150, source.source);
-                if (Array.isArray(channels)) {
-                    channels.forEach(channel => {
-                        if (channel.title && channel.title.length > 1) {
-                            adapter.log.debug(`Create ${_schema.scheme} AV Content ${channel.title} at ${channel.uri}`);
-                            var snakeTitle = toSnakeCase(channel.title);
-                            adapter.setObjectNotExists(`avContent.${_schema.scheme}.${snakeTitle}`, {
-                                "type": "state",
-                                "common": {
-                                    "name": channel.title,
-                                    "role": "button",
-                                    "type": "boolean",
-                                    "read": false,
-                                    "write": true
-                                },
-                                native: {
-                                    "uri": channel.uri
-                                }
-                            });
-                            werteliste.common.states[snakeTitle] = channel.title;
-                            werteliste.native[snakeTitle] = channel.uri;
-                        }
-                    });
+/**
+ * Removes the objects of the single TV layout. With one TV, states with custom settings (e.g. history) are moved
+ * to the same id below the TV first, where the TV adapts them like its own objects of older versions.
+ * The IRCC buttons are left to that TV, which moves their custom settings to its remote keys once it knows them.
+ * @param {TvDevice|null} device the only TV, null with several TVs
+ */
+async function removeLegacyObjects(device) {
+    for (const id of LEGACY_OBJECTS) {
+        if (device && LEGACY_IRCC_CHANNELS.includes(id)) {
+            continue;
+        }
+        const obj = await adapter.getObjectAsync(id);
+        if (!obj) {
+            continue;
+        }
+        if (device) {
+            const states = await adapter.getForeignObjectsAsync(`${adapter.namespace}.${id}*`, 'state');
+            for (const fullId of Object.keys(states)) {
+                const legacy = states[fullId];
+                const relativeId = fullId.substring(adapter.namespace.length + 1);
+                if (legacy.type !== 'state' || !legacy.common || !legacy.common.custom ||
+                    (relativeId !== id && !relativeId.startsWith(`${id}.`))) {
+                    continue;
+                }
+                const target = device.objectId(relativeId);
+                adapter.log.info(`Moving ${relativeId} to ${target}`);
+                if (await adapter.getObjectAsync(target)) {
+                    await adapter.extendObjectAsync(target, { common: { custom: legacy.common.custom } });
                 } else {
-                    adapter.log.error(`Content List. Unknown content response ${JSON.stringify(channels)}`);
+                    await adapter.setObjectAsync(target, { type: 'state', common: legacy.common, native: legacy.native || {} });
                 }
-            } catch (err) {
-                adapter.log.error(`ContentList ${err}`);
             }
         }
-        adapter.setObject(`avContent.${_schema.scheme}Selection`, werteliste);
-    } else {
-        adapter.log.error(`Source List. Unknown content response ${JSON.stringify(_sources)}`);
+        adapter.log.info(`Removing ${id} of the single TV object layout`);
+        await adapter.delObjectAsync(id, { recursive: true });
+    }
+    if (device) {
+        return;
+    }
+    // the IRCC buttons of the info channel, the instance info channel itself stays
+    for (const [id] of LEGACY_IRCC_BUTTONS.filter(([id]) => id.startsWith('info.'))) {
+        if (await adapter.getObjectAsync(id)) {
+            adapter.log.info(`Removing ${id} of the single TV object layout`);
+            await adapter.delObjectAsync(id);
+        }
     }
 }
 
-function checkStatus() {
-    ping.probe(adapter.config.ip, { log: adapter.log.debug }, function (err, result) {
-        if (err) {
-            adapter.log.info(`ping cannot be executed ${err}`);
-            setConnected(false);
-        }
-        if (result) {
-            adapter.log.debug(`Ping result: ${JSON.stringify(result)}`);
+async function main() {
+    const configs = getDeviceConfigs();
+    if (!configs.length) {
+        adapter.log.error('Please configure the Sony Bravia adapter');
+        return;
+    }
 
-            setConnected(result.alive);
+    setConnected(false);
 
-            if (result.alive) {
-                // Check other read only objects
-                device.getPowerStatus().then(states => {
-                    adapter.setState('info.powerStatusActive', { val: (states.result[0].status == 'active' ? true : false), ack: true });
-                }).catch(err => {
-                    adapter.setState('info.powerStatusActive', { val: false, ack: true });
-                    adapter.log.info(`powerStatus cannot be determined ${err}`);
-                })
+    for (const config of configs) {
+        const device = new TvDevice(adapter, config, updateConnection, { legacyRoot: configs.length === 1 });
+        if (devices.has(device.id)) {
+            adapter.log.error(`TV name "${device.name}" is used more than once, ignoring ${config.ip}`);
+            continue;
+        }
+        devices.set(device.id, device);
+    }
+    await removeLegacyObjects(devices.size === 1 ? [...devices.values()][0] : null);
 
-                device.getPlayingContentInfo().then(content => {
-                    adapter.log.debug(`Aktiv content: ${JSON.stringify(content)}`);
-                    adapter.setState('info.playingContentInfo', { val: content.title, ack: true });
-                    // TODO set StateSelector value
-                    /* const snakeTitle = toSnakeCase(content.title);
-                    const scheme = content.source.substring(0, content.source.lastIndexOf(":"));
-                    adapter.setState("avContent." + scheme + "Selection", { val: snakeTitle, ack: true }); */
-                }).catch(err => {
-                    adapter.setState('info.playingContentInfo', { val: "Illegal State", ack: true });
-                    adapter.log.debug(`contentInfo cannot be determined ${JSON.stringify(err)}`);
-                });
+    // in this template all states changes inside the adapters namespace are subscribed
+    adapter.subscribeStates('*');
 
-                device.getVolumeInformation().then(setups => {
-                    if (Array.isArray(setups)) {
-                        setups.forEach(setup => {
-                            if (Array.isArray(setup)) {
-                                setup.forEach(audio => {
-                                    if (audio.target && audio.target.length > 1) {
-                                        adapter.setObjectNotExists(`audio.volume.${toSnakeCase(audio.target)}`, {
-                                            "type": "channel",
-                                            "common": {
-                                                "name": audio.target
-                                            },
-                                            native: {}
-                                        });
-                                        adapter.setObjectNotExists(`audio.volume.${toSnakeCase(audio.target)}.volume`, {
-                                            "type": "state",
-                                            "common": {
-                                                "name": "Volumen",
-                                                "role": "state",
-                                                "type": "string",
-                                                "read": true,
-                                                "write": true
-                                            },
-                                            native: {
-                                                "target": audio.target
-                                            }
-                                        });
-                                        adapter.setState(`audio.volume.${toSnakeCase(audio.target)}.volume`, { val: audio.volume.toString(), ack: true });
-                                        adapter.setObjectNotExists(`audio.volume.${toSnakeCase(audio.target)}.mute`, {
-                                            "type": "state",
-                                            "common": {
-                                                "name": "Stumm",
-                                                "role": "switch",
-                                                "type": "boolean",
-                                                "read": true,
-                                                "write": true
-                                            },
-                                            native: {
-                                                "target": audio.target
-                                            }
-                                        });
-                                        adapter.setState(`audio.volume.${toSnakeCase(audio.target)}.mute`, { val: audio.mute, ack: true });
-                                    }
-                                });
-                            }
-                        });
-                    } else {
-                        adapter.log.error(`Volume Information. Unknown content response ${JSON.stringify(audios)}`);
-                    }
-                }).catch(err => {
-                    adapter.log.info(`volumeInformation cannot be determined ${err}`);
-                });
-            } else {
-                adapter.setState('info.powerStatusActive', { val: false, ack: true });
-                adapter.setState('info.playingContentInfo', { val: "", ack: true });
-            }
-        }
-    });
+    for (const device of devices.values()) {
+        device.start().catch(err => adapter.log.error(`${device.id}: ${err}`));
+    }
 }
 
 // If started as allInOne/compact mode => return function to create instance